@@ -0,0 +1,15 @@
+// CSV rendering for exports
+
+// Render rows as CSV; columns are { header, value: row => any }
+const toCsv = (columns, rows) => {
+    const escapeCell = (value) => {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`; // Keep spreadsheets from evaluating cells as formulas
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(col => escapeCell(col.header))];
+    rows.forEach(row => lines.push(columns.map(col => escapeCell(col.value(row)))));
+    return lines.map(line => line.join(',')).join('\r\n');
+};
+
+module.exports = { toCsv };
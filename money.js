@@ -0,0 +1,11 @@
+// Money arithmetic shared by wallet entries and coupon pricing; amounts are kept to two decimals
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Price after a 'percent' or fixed-amount discount, never below zero
+const applyDiscount = (price, discountType, discountValue) => {
+    const discounted = discountType === 'percent' ? price * (1 - discountValue / 100) : price - discountValue;
+    return Math.max(0, roundMoney(discounted));
+};
+
+module.exports = { roundMoney, applyDiscount };
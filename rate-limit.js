@@ -0,0 +1,98 @@
+// Rate limit stores and the account lockout policy built on them
+
+// Stores implement increment (fixed-window counter returning { count, resetAt }), get, set and remove; TTLs in ms
+const createMemoryRateLimitStore = () => {
+    const entries = new Map(); // key -> { value, expiresAt }
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return {
+        async increment(key, windowMs) {
+            let entry = live(key);
+            if (!entry) {
+                entry = { value: 0, expiresAt: Date.now() + windowMs };
+                entries.set(key, entry);
+            }
+            entry.value += 1;
+            return { count: entry.value, resetAt: new Date(entry.expiresAt) };
+        },
+        async get(key) {
+            const entry = live(key);
+            return entry ? entry.value : undefined;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        async remove(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+// Keeps entries in the RateLimitEntry model, so limits are shared between server instances
+const createMongoRateLimitStore = (RateLimitEntry) => ({
+    async increment(key, windowMs) {
+        const now = new Date();
+        const inWindow = { $gt: ['$expiresAt', now] };
+        const update = [{
+            $set: {
+                value: { $cond: [inWindow, { $add: ['$value', 1] }, 1] },
+                expiresAt: { $cond: [inWindow, '$expiresAt', new Date(now.getTime() + windowMs)] }
+            }
+        }];
+        let entry;
+        try {
+            entry = await RateLimitEntry.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            entry = await RateLimitEntry.findOneAndUpdate({ key }, update, { new: true }); // Lost an upsert race
+        }
+        return { count: entry.value, resetAt: entry.expiresAt };
+    },
+    async get(key) {
+        const entry = await RateLimitEntry.findOne({ key, expiresAt: { $gt: new Date() } });
+        return entry ? entry.value : undefined;
+    },
+    async set(key, value, ttlMs) {
+        await RateLimitEntry.updateOne({ key }, { value, expiresAt: new Date(Date.now() + ttlMs) }, { upsert: true });
+    },
+    async remove(key) {
+        await RateLimitEntry.deleteOne({ key });
+    }
+});
+
+// Lockouts follow { threshold, baseMinutes, maxMinutes }: every threshold failures lock the account,
+// for baseMinutes doubled with each further lockout and capped at maxMinutes
+
+// How long the nth lockout lasts, in minutes
+const lockoutMinutes = (lockouts, { baseMinutes, maxMinutes }) => Math.min(baseMinutes * 2 ** (lockouts - 1), maxMinutes);
+
+// The lockout number a failure count starts, or 0 if it does not reach the next multiple of the threshold.
+// Counts come from an atomic increment, so exactly one failure starts each lockout.
+const lockoutsReached = (failures, { threshold }) => (failures > 0 && failures % threshold === 0 ? failures / threshold : 0);
+
+// Whether an account is locked, from its failure count and last recorded lock ({ lockouts, lockedUntil }).
+// A lockout the count has reached but that is not recorded yet already locks, for at least baseMinutes.
+const lockoutStatus = (failures, lock, { threshold, baseMinutes }, now = Date.now()) => {
+    if (Math.floor(failures / threshold) > (lock ? lock.lockouts : 0)) {
+        return { locked: true, retryAt: now + baseMinutes * 60 * 1000 };
+    }
+    if (lock && lock.lockedUntil > now) {
+        return { locked: true, retryAt: lock.lockedUntil };
+    }
+    return { locked: false };
+};
+
+module.exports = { createMemoryRateLimitStore, createMongoRateLimitStore, lockoutMinutes, lockoutsReached, lockoutStatus };
@@ -4,12 +4,33 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
+const jwt = require('jsonwebtoken'); // For signed access/refresh tokens
+const crypto = require('crypto'); // For one-time codes and signed file URLs
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const multer = require('multer'); // For multipart file uploads
+const { createLocalDiskStorage, createBackendStorageEngine, parseByteRange } = require('./storage');
+const { OBJECT_ID_PATTERN, validateBody } = require('./validation');
+const { toCsv } = require('./csv');
+const { roundMoney, applyDiscount } = require('./money');
+const { createMemoryRateLimitStore, createMongoRateLimitStore, lockoutStatus, lockoutsReached, lockoutMinutes } = require('./rate-limit');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Comma-separated allowed origins, e.g. "https://app.example.com,https://admin.example.com"; unset allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (CORS_ORIGINS.length === 0) {
+    console.warn('WARNING: CORS_ORIGINS is not set; accepting requests from any origin.');
+}
+
+// Set TRUST_PROXY (e.g. 1) behind a reverse proxy so req.ip, and with it per-IP rate limiting, sees the client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number.isNaN(Number(process.env.TRUST_PROXY)) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // Middleware
-app.use(cors());
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : undefined));
 app.use(express.json()); // To parse JSON request bodies
 
 // ----------------------------------------------------
@@ -22,8 +43,80 @@ if (!MONGODB_URI) {
     process.exit(1);
 }
 
+// ----------------------------------------------------
+// Token Configuration
+// ----------------------------------------------------
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+// First teacher account, created on startup when no teacher exists yet
+const TEACHER_BOOTSTRAP = {
+    fullName: process.env.TEACHER_BOOTSTRAP_NAME,
+    teacherCode: process.env.TEACHER_BOOTSTRAP_CODE,
+    phoneNumber: process.env.TEACHER_BOOTSTRAP_PHONE,
+    password: process.env.TEACHER_BOOTSTRAP_PASSWORD
+};
+const ACTIVITY_TOUCH_INTERVAL_MS = 60 * 1000; // How often authenticated requests refresh User.lastActivity
+const PASSWORD_RESET_CODE_TTL_MINUTES = Number(process.env.PASSWORD_RESET_CODE_TTL_MINUTES) || 30;
+const PARENT_ACCESS_CODE_TTL_HOURS = Number(process.env.PARENT_ACCESS_CODE_TTL_HOURS) || 24; // Unused parent codes expire after this
+const PARENT_SESSION_TTL = process.env.PARENT_SESSION_TTL || '12h'; // Read-only parent sessions are not refreshable
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ----------------------------------------------------
+// Rate Limiting Configuration
+// ----------------------------------------------------
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory'; // 'mongo' shares counters between instances
+const AUTH_RATE_LIMIT = { // Per IP, per auth route
+    max: Number(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+    windowMinutes: Number(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15
+};
+const REGISTER_RATE_LIMIT = { // Per IP
+    max: Number(process.env.REGISTER_RATE_LIMIT_MAX) || 5,
+    windowMinutes: Number(process.env.REGISTER_RATE_LIMIT_WINDOW_MINUTES) || 60
+};
+const LOCKOUT_THRESHOLD = Number(process.env.LOCKOUT_THRESHOLD) || 5; // Failed attempts per account before a lockout
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOCKOUT_BASE_MINUTES) || 5; // Doubles with each further lockout
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// ----------------------------------------------------
+// File Storage Configuration
+// ----------------------------------------------------
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 300;
+
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Africa/Cairo'; // Day/week/month buckets follow this zone
+
+// Exam defaults; a lesson can override both with its own passThreshold / maxExamAttempts
+const EXAM_PASS_THRESHOLD = Number(process.env.EXAM_PASS_THRESHOLD) || 50; // percent
+const EXAM_MAX_ATTEMPTS = process.env.EXAM_MAX_ATTEMPTS !== undefined ? Number(process.env.EXAM_MAX_ATTEMPTS) : 3; // 0 means unlimited
+
+// Background jobs (auto-renewals, expiry, reminders, message purge) run this often; 0 disables them
+const SCHEDULER_INTERVAL_MINUTES = process.env.SCHEDULER_INTERVAL_MINUTES !== undefined ? Number(process.env.SCHEDULER_INTERVAL_MINUTES) : 60;
+const EXPIRY_REMINDER_DAYS = Number(process.env.EXPIRY_REMINDER_DAYS) || 3; // Remind students this many days before a subscription ends
+
+if (!JWT_SECRET) {
+    console.error('ERROR: JWT_SECRET is not defined in environment variables.');
+    process.exit(1);
+}
+
 mongoose.connect(MONGODB_URI)
-    .then(() => console.log('MongoDB connected successfully'))
+    .then(async () => {
+        console.log('MongoDB connected successfully');
+        seedFirstTeacher().catch(err => console.error('Teacher bootstrap error:', err));
+        hashLegacySupportCodes().catch(err => console.error('Support code migration error:', err));
+        // Legacy balances must be on the ledger before anything can post wallet entries
+        try {
+            await openLegacyWalletBalances();
+        } catch (err) {
+            console.error('Wallet ledger migration error:', err);
+            process.exit(1);
+        }
+        startScheduler();
+        startRealtimeFeeds();
+        startServer();
+    })
     .catch(err => {
         console.error('MongoDB connection error:', err);
         process.exit(1); // Exit process if cannot connect to DB
@@ -40,8 +133,16 @@ const userSchema = new mongoose.Schema({
     type: { type: String, enum: ['student', 'teacher', 'support'], required: true },
     createdAt: { type: Date, default: Date.now },
     lastActivity: { type: Date, default: Date.now },
+    tokenVersion: { type: Number, default: 0 }, // Bumped to revoke every token issued before
+    isActive: { type: Boolean, default: true }, // Deactivated accounts cannot log in or use tokens
 });
 
+// Query filter for active users; accounts created before isActive existed have no field and count as active
+const ACTIVE_USER = { isActive: { $ne: false } };
+
+// bannedByType keeps its stored values; populate maps them onto the discriminator model names
+const BANNED_BY_MODELS = { Teacher: 'teacher', SupportStaff: 'support' };
+
 // Student Specific Fields
 const studentSchema = new mongoose.Schema({
     studentNumber: { type: String, unique: true, sparse: true }, // sparse allows null values to not violate unique constraint
@@ -52,19 +153,23 @@ const studentSchema = new mongoose.Schema({
     isBanned: { type: Boolean, default: false },
     banReason: { type: String },
     bannedAt: { type: Date },
-    bannedBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'bannedByType' }, // Reference to teacher/support who banned
-    bannedByType: { type: String, enum: ['Teacher', 'SupportStaff'] }
+    bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: function () { return BANNED_BY_MODELS[this.bannedByType]; } }, // Teacher/support who banned
+    bannedByType: { type: String, enum: ['Teacher', 'SupportStaff'] },
+    banExpiresAt: { type: Date }, // Timed bans lift automatically once this passes; unset means permanent
+    passwordResetCode: { type: String }, // Hashed one-time code shared with the parent by staff
+    passwordResetExpires: { type: Date }
 }, { discriminatorKey: 'type' });
 
 // Teacher Specific Fields (can be extended)
 const teacherSchema = new mongoose.Schema({
     teacherCode: { type: String, unique: true, required: true },
     phoneNumber: { type: String, unique: true, required: true },
+    teacherRole: { type: String, enum: ['teacher', 'assistant'], default: 'teacher' }, // Assistants cannot manage teacher accounts
 }, { discriminatorKey: 'type' });
 
 // Support Staff Specific Fields
 const supportStaffSchema = new mongoose.Schema({
-    supportCode: { type: String, unique: true, required: true },
+    supportCode: { type: String, required: true }, // bcrypt hash; the plain code is only shown when created or rotated
     isOnline: { type: Boolean, default: false },
     lastLogout: { type: Date },
 }, { discriminatorKey: 'type' });
@@ -87,15 +192,22 @@ const lessonSchema = new mongoose.Schema({
     homeworkFile: { type: String },
     solutionFile: { type: String },
     homeworkSolutionVideo: { type: String },
+    homeworkDeadline: { type: Date }, // Optional; submissions close and solutions unlock for everyone once it passes
+    homeworkMaxMark: { type: Number, min: 1, default: 10 },
     examQuestions: [{
         question: String,
         choices: [String],
         correctAnswer: Number
     }],
+    passThreshold: { type: Number, min: 0, max: 100 }, // Percent needed to pass; falls back to EXAM_PASS_THRESHOLD
+    maxExamAttempts: { type: Number, min: 0 }, // Falls back to EXAM_MAX_ATTEMPTS; 0 means unlimited
     isActive: { type: Boolean, default: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
+lessonSchema.index({ grade: 1, isActive: 1, createdAt: -1 });
+lessonSchema.index({ price: 1 });
+lessonSchema.index({ title: 'text', description: 'text' }, { default_language: 'none' }); // 'none' avoids English stemming of Arabic text
 const Lesson = mongoose.model('Lesson', lessonSchema);
 
 // Subscription Schema
@@ -109,6 +221,9 @@ const subscriptionSchema = new mongoose.Schema({
     isActive: { type: Boolean, default: true },
     createdAt: { type: Date, default: Date.now }
 });
+subscriptionSchema.index({ isActive: 1, createdAt: -1 });
+subscriptionSchema.index({ price: 1 });
+subscriptionSchema.index({ name: 'text', description: 'text' }, { default_language: 'none' });
 const Subscription = mongoose.model('Subscription', subscriptionSchema);
 
 // Purchased Lesson/Subscription Schema
@@ -118,8 +233,24 @@ const purchasedItemSchema = new mongoose.Schema({
     itemType: { type: String, required: true, enum: ['Lesson', 'Subscription'] },
     purchaseDate: { type: Date, default: Date.now },
     price: { type: Number, required: true },
-    expiryDate: { type: Date } // For subscriptions
+    expiryDate: { type: Date }, // For subscriptions
+    status: { type: String, enum: ['active', 'expired'], default: 'active' }, // Set to expired by the scheduler
+    autoRenew: { type: Boolean, default: false }, // Subscriptions only: renew from the wallet when the term ends
+    reminderSentFor: { type: Date }, // expiryDate the last expiry reminder was sent for
+    autoRenewFailedFor: { type: Date }, // expiryDate the last failed auto-renewal was attempted for
+    originalPrice: { type: Number }, // List price before a coupon discount
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' }, // Coupon applied to the first purchase
+    renewals: [{ // Subscription renewals extend the same record instead of creating duplicates
+        renewedAt: { type: Date, default: Date.now },
+        price: Number,
+        originalPrice: Number,
+        couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+        previousExpiry: Date
+    }]
 });
+purchasedItemSchema.index({ studentId: 1, itemId: 1 }, { unique: true }); // One record per owned item
+purchasedItemSchema.index({ itemType: 1, purchaseDate: -1 }); // Revenue and sales reports
+purchasedItemSchema.index({ itemType: 1, status: 1, expiryDate: 1 }); // Scheduler scans
 const PurchasedItem = mongoose.model('PurchasedItem', purchasedItemSchema);
 
 // Transfer Request Schema (for Wallet)
@@ -137,6 +268,7 @@ const transferRequestSchema = new mongoose.Schema({
     confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'SupportStaff' },
     confirmationDate: { type: Date }
 });
+transferRequestSchema.index({ paymentMethodId: 1, transactionNumber: 1 }, { unique: true }); // A transaction can only be claimed once per payment method
 const TransferRequest = mongoose.model('TransferRequest', transferRequestSchema);
 
 // Payment Method Schema (for Teacher)
@@ -148,6 +280,31 @@ const paymentMethodSchema = new mongoose.Schema({
 });
 const PaymentMethod = mongoose.model('PaymentMethod', paymentMethodSchema);
 
+// Wallet Entry Schema (append-only ledger; every Student.balance change writes exactly one entry via postWalletEntry)
+const WALLET_ENTRY_TYPES = ['opening_balance', 'top_up', 'purchase', 'subscription_renewal', 'book_order', 'book_refund', 'adjustment'];
+const walletEntrySchema = new mongoose.Schema({
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    type: { type: String, enum: WALLET_ENTRY_TYPES, required: true },
+    amount: { type: Number, required: true }, // Signed: credits are positive, debits negative
+    balanceAfter: { type: Number, required: true },
+    sourceType: { type: String, enum: ['TransferRequest', 'PurchasedItem', 'BookOrder'] },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, refPath: 'sourceType' },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Unset for system entries (scheduler, migrations)
+    actorType: { type: String, enum: ['student', 'teacher', 'support', 'system'], required: true },
+    note: { type: String },
+    timestamp: { type: Date, default: Date.now }
+});
+walletEntrySchema.index({ studentId: 1, timestamp: -1 });
+walletEntrySchema.index({ sourceId: 1 }); // Entries for a transfer, purchase or order
+// Entries are never edited or removed; corrections are new adjustment entries
+walletEntrySchema.pre('save', function (next) {
+    next(this.isNew ? undefined : new Error('Wallet entries are immutable.'));
+});
+walletEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+    next(new Error('Wallet entries are immutable.'));
+});
+const WalletEntry = mongoose.model('WalletEntry', walletEntrySchema);
+
 // General Message Schema (from Teacher)
 const generalMessageSchema = new mongoose.Schema({
     target: { type: String, enum: ['all', 'first', 'second', 'third'], required: true },
@@ -158,6 +315,8 @@ const generalMessageSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now },
     teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true }
 });
+generalMessageSchema.index({ target: 1, createdAt: -1 });
+generalMessageSchema.index({ title: 'text', content: 'text' }, { default_language: 'none' });
 const GeneralMessage = mongoose.model('GeneralMessage', generalMessageSchema);
 
 // Book Schema
@@ -170,6 +329,9 @@ const bookSchema = new mongoose.Schema({
     availability: { type: String, enum: ['available', 'limited', 'unavailable'], default: 'available' },
     createdAt: { type: Date, default: Date.now }
 });
+bookSchema.index({ grade: 1, availability: 1, createdAt: -1 });
+bookSchema.index({ price: 1 });
+bookSchema.index({ name: 'text', description: 'text' }, { default_language: 'none' });
 const Book = mongoose.model('Book', bookSchema);
 
 // Book Order Schema
@@ -178,14 +340,24 @@ const bookOrderSchema = new mongoose.Schema({
     studentName: { type: String, required: true },
     bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
     bookName: { type: String, required: true },
-    price: { type: Number, required: true },
+    price: { type: Number, required: true }, // Amount charged, after any coupon discount
+    originalPrice: { type: Number },
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
     fullName: { type: String, required: true },
     phone: { type: String, required: true },
     address: { type: String, required: true },
     preferredBookstore: { type: String },
     status: { type: String, enum: ['pending', 'confirmed', 'shipped', 'cancelled'], default: 'pending' },
+    statusHistory: [{
+        status: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: String,
+        timestamp: { type: Date, default: Date.now }
+    }],
+    refundedAt: { type: Date }, // Set when a cancelled order's price is returned to the wallet
     timestamp: { type: Date, default: Date.now }
 });
+bookOrderSchema.index({ status: 1, timestamp: 1 });
 const BookOrder = mongoose.model('BookOrder', bookOrderSchema);
 
 // Exam Result Schema
@@ -201,8 +373,40 @@ const examResultSchema = new mongoose.Schema({
     passed: { type: Boolean, required: true },
     timestamp: { type: Date, default: Date.now }
 });
+examResultSchema.index({ studentId: 1, lessonId: 1 });
+examResultSchema.index({ timestamp: -1 });
 const ExamResult = mongoose.model('ExamResult', examResultSchema);
 
+// Exam Attempt Counter Schema (one per student per lesson; attempts are reserved and the first pass is claimed here atomically)
+const examAttemptCounterSchema = new mongoose.Schema({
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', required: true },
+    attempts: { type: Number, default: 0 },
+    passed: { type: Boolean, default: false }
+});
+examAttemptCounterSchema.index({ studentId: 1, lessonId: 1 }, { unique: true });
+const ExamAttemptCounter = mongoose.model('ExamAttemptCounter', examAttemptCounterSchema);
+
+// Homework Submission Schema (one per student per lesson; resubmitting replaces the file until it is graded)
+const homeworkSubmissionSchema = new mongoose.Schema({
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    studentName: { type: String, required: true },
+    lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', required: true },
+    lessonTitle: { type: String, required: true },
+    fileKey: { type: String, required: true }, // Uploaded via POST /api/uploads/homeworkSubmission
+    note: { type: String },
+    status: { type: String, enum: ['submitted', 'graded'], default: 'submitted' },
+    mark: { type: Number, min: 0 },
+    maxMark: { type: Number, required: true }, // Copied from the lesson when submitted
+    feedback: { type: String },
+    gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
+    gradedAt: { type: Date },
+    submittedAt: { type: Date, default: Date.now }
+});
+homeworkSubmissionSchema.index({ studentId: 1, lessonId: 1 }, { unique: true });
+homeworkSubmissionSchema.index({ status: 1, submittedAt: 1 }); // Grading queue
+const HomeworkSubmission = mongoose.model('HomeworkSubmission', homeworkSubmissionSchema);
+
 // Student Message (Question to Teacher) Schema
 const studentMessageSchema = new mongoose.Schema({
     studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
@@ -210,11 +414,12 @@ const studentMessageSchema = new mongoose.Schema({
     lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' }, // Optional, if question not tied to specific lesson
     subject: { type: String, required: true },
     text: { type: String, required: true },
-    imageKey: { type: String }, // Key for the image file in IndexedDB (frontend)
+    imageKey: { type: String }, // Storage key returned by POST /api/uploads/questionImage
     timestamp: { type: Date, default: Date.now },
     isRead: { type: Boolean, default: false },
     status: { type: String, enum: ['unread', 'read', 'replied'], default: 'unread' },
     replies: [{
+        authorType: { type: String, enum: ['student', 'teacher', 'support'] }, // Students can follow up in their own thread
         teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
         supportId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupportStaff' },
         replyText: String,
@@ -223,6 +428,7 @@ const studentMessageSchema = new mongoose.Schema({
         timestamp: { type: Date, default: Date.now }
     }]
 });
+studentMessageSchema.index({ status: 1, timestamp: -1 });
 const StudentMessage = mongoose.model('StudentMessage', studentMessageSchema);
 
 // Notification Schema (for Students)
@@ -236,6 +442,7 @@ const notificationSchema = new mongoose.Schema({
     canReply: { type: Boolean, default: false },
     relatedId: { type: mongoose.Schema.Types.ObjectId } // Optional: ID of related lesson, exam, etc.
 });
+notificationSchema.index({ studentId: 1, timestamp: -1 });
 const StudentNotification = mongoose.model('StudentNotification', notificationSchema);
 
 // Reward History Schema
@@ -250,362 +457,4281 @@ const RewardHistory = mongoose.model('RewardHistory', rewardHistorySchema);
 // Redeemed Reward Schema
 const redeemedRewardSchema = new mongoose.Schema({
     studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
-    rewardId: { type: Number, required: true }, // e.g., 1 for free lesson, 2 for discount
+    rewardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reward', required: true },
     rewardName: { type: String, required: true },
     cost: { type: Number, required: true }, // points cost
+    purchasedItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchasedItem' }, // Set for free_lesson rewards
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' }, // Set for discount rewards
     timestamp: { type: Date, default: Date.now }
 });
 const RedeemedReward = mongoose.model('RedeemedReward', redeemedRewardSchema);
 
+// Reward Catalogue Schema (what students can spend points on)
+const rewardSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: { type: String },
+    cost: { type: Number, required: true, min: 1 }, // points cost
+    effect: { type: String, enum: ['free_lesson', 'discount'], required: true },
+    lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' }, // free_lesson: fixed lesson, otherwise the student picks one
+    discountType: { type: String, enum: ['percent', 'fixed'] }, // discount only
+    discountValue: { type: Number, min: 0 }, // discount only
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+const Reward = mongoose.model('Reward', rewardSchema);
+
+// Point Earning Rule Schema (one per event; missing or inactive rules award nothing)
+const POINT_EVENTS = ['exam_passed', 'homework_graded', 'lesson_purchased', 'subscription_purchased'];
+const pointRuleSchema = new mongoose.Schema({
+    event: { type: String, enum: POINT_EVENTS, unique: true, required: true },
+    points: { type: Number, required: true, min: 0 },
+    isActive: { type: Boolean, default: true },
+    updatedAt: { type: Date, default: Date.now }
+});
+const PointRule = mongoose.model('PointRule', pointRuleSchema);
+
+// Coupon Schema (discount codes; reward coupons belong to a single student)
+// Empty scope arrays mean "no restriction"; null usage limits mean unlimited
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: { type: String, enum: ['percent', 'fixed'], required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' }, // Owner, if the coupon is personal
+    itemTypes: [{ type: String, enum: ['Lesson', 'Subscription', 'Book'] }],
+    itemIds: [{ type: mongoose.Schema.Types.ObjectId }], // Specific lessons, subscriptions or books
+    gradeLevels: [{ type: String, enum: ['first', 'second', 'third', 'all'] }],
+    maxUses: { type: Number, min: 1, default: null }, // Overall limit across all students
+    maxUsesPerStudent: { type: Number, min: 1, default: 1 },
+    usedCount: { type: Number, default: 0 },
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    isActive: { type: Boolean, default: true },
+    source: { type: String, enum: ['reward', 'promotion'], default: 'promotion' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
+    createdAt: { type: Date, default: Date.now }
+});
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+// Coupon Redemption Schema (one row per use; backs the per-student limit and coupon reports)
+const couponRedemptionSchema = new mongoose.Schema({
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    itemType: { type: String, enum: ['Lesson', 'Subscription', 'Book'], required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    referenceId: { type: mongoose.Schema.Types.ObjectId, required: true }, // PurchasedItem or BookOrder the coupon was spent on
+    originalPrice: { type: Number, required: true },
+    discountedPrice: { type: Number, required: true },
+    timestamp: { type: Date, default: Date.now }
+});
+couponRedemptionSchema.index({ couponId: 1, studentId: 1 });
+couponRedemptionSchema.index({ couponId: 1, timestamp: -1 });
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
 // Support Activity Log Schema
 const supportActivityLogSchema = new mongoose.Schema({
-    supportId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupportStaff', required: true },
+    supportId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupportStaff', required: true }, // Acting staff member (a teacher when actorType is 'teacher')
     supportName: { type: String, required: true },
+    actorType: { type: String, enum: ['support', 'teacher'], default: 'support' },
     action: { type: String, required: true }, // e.g., 'confirmed_payment', 'banned_student', 'replied_to_chat'
     details: mongoose.Schema.Types.Mixed, // Flexible field for any additional details
     timestamp: { type: Date, default: Date.now }
 });
+supportActivityLogSchema.index({ supportId: 1, timestamp: -1 });
+supportActivityLogSchema.index({ action: 1, timestamp: -1 });
 const SupportActivityLog = mongoose.model('SupportActivityLog', supportActivityLogSchema);
 
-// ----------------------------------------------------
-// API Endpoints
-// ----------------------------------------------------
+// Uploaded File Schema (metadata for every key handed out by the storage service)
+const uploadedFileSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    field: { type: String, required: true }, // Upload rule the file was accepted under, e.g. 'videoFile'
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true }, // bytes
+    originalName: { type: String },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+const UploadedFile = mongoose.model('UploadedFile', uploadedFileSchema);
 
-// Health Check
-app.get('/api/health', (req, res) => {
-    res.status(200).json({ status: 'ok', message: 'Server is healthy' });
+// Parent Access Code Schema (one-time codes staff generate for a parentNumber; the used code backs the parent's session)
+const parentAccessCodeSchema = new mongoose.Schema({
+    parentNumber: { type: String, required: true },
+    codeHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true }, // The code must be used before this
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    usedAt: { type: Date },
+    revokedAt: { type: Date }, // Revoking also ends the session opened with the code
+    createdAt: { type: Date, default: Date.now }
 });
+parentAccessCodeSchema.index({ parentNumber: 1, createdAt: -1 });
+const ParentAccessCode = mongoose.model('ParentAccessCode', parentAccessCodeSchema);
 
-// Authentication
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { fullName, studentNumber, parentNumber, password, gradeLevel } = req.body;
+// Rate Limit Entry Schema (backing store for RATE_LIMIT_STORE=mongo; expired entries are removed by the TTL index)
+const rateLimitEntrySchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true }
+});
+rateLimitEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const RateLimitEntry = mongoose.model('RateLimitEntry', rateLimitEntrySchema);
 
-        // Basic validation
-        if (!fullName || !studentNumber || !parentNumber || !password || !gradeLevel) {
-            return res.status(400).json({ message: 'All fields are required.' });
-        }
+// Account Lockout Log Schema (audit trail of every lockout)
+const lockoutLogSchema = new mongoose.Schema({
+    scope: { type: String, required: true }, // e.g. 'teacher-login', 'payment-method-delete'
+    identifier: { type: String, required: true }, // Account identifier as submitted (phone, name, student number, user id)
+    ip: { type: String },
+    lockoutCount: { type: Number, required: true }, // Consecutive lockouts, which set the backoff
+    lockedUntil: { type: Date, required: true },
+    timestamp: { type: Date, default: Date.now }
+});
+lockoutLogSchema.index({ timestamp: -1 });
+lockoutLogSchema.index({ scope: 1, identifier: 1, timestamp: -1 });
+const LockoutLog = mongoose.model('LockoutLog', lockoutLogSchema);
 
-        // Check if studentNumber or fullName already exists
-        const existingStudent = await Student.findOne({ $or: [{ studentNumber: studentNumber }, { fullName: fullName }] });
-        if (existingStudent) {
-            return res.status(409).json({ message: 'Student with this number or name already exists.' });
-        }
+// ----------------------------------------------------
+// Teacher Bootstrap
+// ----------------------------------------------------
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const newStudent = new Student({
-            fullName,
-            studentNumber,
-            parentNumber,
-            password: hashedPassword,
-            gradeLevel,
-            type: 'student',
-            balance: 0,
-            points: 0,
-            isBanned: false,
-            createdAt: new Date(),
-            lastActivity: new Date()
-        });
-        await newStudent.save();
-        res.status(201).json({ message: 'Student registered successfully', studentId: newStudent._id });
-    } catch (error) {
-        console.error('Student registration error:', error);
-        res.status(500).json({ message: 'Server error during registration.' });
+// Password given to teachers by the old hardcoded login. It is public (git history), so no account may keep it.
+const LEGACY_TEACHER_PASSWORD = 'teacher_default_password';
+
+// Deactivate every teacher still on the legacy password, whatever its code, and revoke its sessions;
+// returns the deactivated accounts
+const disableLegacyTeacherAccounts = async () => {
+    const disabled = [];
+    const teachers = await Teacher.find(ACTIVE_USER);
+    for (const teacher of teachers) {
+        if (await bcrypt.compare(LEGACY_TEACHER_PASSWORD, teacher.password)) {
+            teacher.isActive = false;
+            teacher.tokenVersion += 1;
+            await teacher.save();
+            disabled.push(teacher);
+            console.warn(`Deactivated teacher ${teacher.teacherCode}: it still used the legacy default password`);
+        }
     }
-});
+    return disabled;
+};
 
-// For Teacher Login (Hardcoded for now as per your app.js)
-app.post('/api/auth/teacher-login', async (req, res) => {
-    const { name, code, phone } = req.body;
+// Creates the first teacher from TEACHER_BOOTSTRAP when no active teacher exists. A legacy account
+// sharing the bootstrap code or phone is taken over with the bootstrap credentials instead.
+const seedFirstTeacher = async () => {
+    const disabled = await disableLegacyTeacherAccounts();
 
-    // In a real application, you'd fetch teacher from DB and hash password
-    const correctTeacher = {
-        fullName: 'Mahmoud only',
-        code: 'HHDV/58HR',
-        phoneNumber: '01050747978'
-    };
+    const { fullName, teacherCode, phoneNumber, password } = TEACHER_BOOTSTRAP;
+    if (!fullName || !teacherCode || !phoneNumber || !password) {
+        if (disabled.length > 0 && !(await Teacher.exists(ACTIVE_USER))) {
+            console.warn('No active teacher account remains; set TEACHER_BOOTSTRAP_* to create one.');
+        }
+        return;
+    }
 
-    if (name === correctTeacher.fullName && code === correctTeacher.code && phone === correctTeacher.phoneNumber) {
-        // Find or create teacher in DB
-        let teacher = await Teacher.findOne({ teacherCode: code });
-        if (!teacher) {
-            teacher = new Teacher({
-                fullName: name,
-                teacherCode: code,
-                phoneNumber: phone,
-                password: await bcrypt.hash('teacher_default_password', 10), // Dummy password for now
-                type: 'teacher'
-            });
-            await teacher.save();
+    const existing = await Teacher.findOne({ $or: [{ teacherCode }, { phoneNumber }] });
+    if (existing) {
+        if (await bcrypt.compare(LEGACY_TEACHER_PASSWORD, existing.password)) {
+            existing.set({ fullName, teacherCode, phoneNumber, password: await bcrypt.hash(password, 10), isActive: true });
+            await existing.save();
+            console.log('Replaced legacy credentials for bootstrap teacher account');
         }
-        res.status(200).json({ message: 'Teacher login successful', user: { id: teacher._id, name: teacher.fullName, type: 'teacher' } });
-    } else {
-        res.status(401).json({ message: 'Invalid teacher credentials.' });
+        return;
+    }
+
+    if (await Teacher.exists(ACTIVE_USER)) {
+        return; // Bootstrap only ever creates the first teacher
     }
-});
 
+    await Teacher.create({
+        fullName,
+        teacherCode,
+        phoneNumber,
+        password: await bcrypt.hash(password, 10),
+        teacherRole: 'teacher',
+        type: 'teacher'
+    });
+    console.log('Bootstrap teacher account created');
+};
 
-app.post('/api/auth/support-login', async (req, res) => {
-    try {
-        const { name, code } = req.body;
-        const supportUser = await SupportStaff.findOne({ fullName: name, supportCode: code });
+// Support codes used to be stored in plain text; hash any that still are
+const hashLegacySupportCodes = async () => {
+    const staff = await SupportStaff.find({ supportCode: { $not: /^\$2[aby]\$/ } });
+    for (const member of staff) {
+        member.supportCode = await bcrypt.hash(member.supportCode, 10);
+        await member.save();
+    }
+    if (staff.length > 0) {
+        console.log(`Hashed ${staff.length} legacy support code(s)`);
+    }
+};
 
-        if (!supportUser) {
-            return res.status(401).json({ message: 'Invalid support credentials.' });
+// Balances from before the ledger get an opening entry for whatever the existing entries do not explain,
+// dated before the student's first entry, so every balance equals the sum of its entries. Runs before the
+// server accepts requests, so no wallet write can land between reading a balance and opening it.
+const openLegacyWalletBalances = async () => {
+    const ledgers = await WalletEntry.aggregate([
+        {
+            $group: {
+                _id: '$studentId',
+                total: { $sum: '$amount' },
+                firstEntryAt: { $min: '$timestamp' },
+                opened: { $max: { $eq: ['$type', 'opening_balance'] } }
+            }
         }
-        
-        // Update last login time and set online status
-        supportUser.isOnline = true;
-        supportUser.lastActivity = new Date();
-        await supportUser.save();
+    ]);
+    const ledgerByStudent = new Map(ledgers.map(ledger => [ledger._id.toString(), ledger]));
+    const openedIds = ledgers.filter(ledger => ledger.opened).map(ledger => ledger._id);
+    const unopenedIds = ledgers.filter(ledger => !ledger.opened).map(ledger => ledger._id);
 
-        res.status(200).json({ message: 'Support login successful', user: { id: supportUser._id, name: supportUser.fullName, type: 'support' } });
-    } catch (error) {
-        console.error('Support login error:', error);
-        res.status(500).json({ message: 'Server error during support login.' });
+    const students = await Student.find({
+        _id: { $nin: openedIds },
+        $or: [{ balance: { $ne: 0 } }, { _id: { $in: unopenedIds } }]
+    }, { balance: 1 });
+    let opened = 0;
+    for (const student of students) {
+        const ledger = ledgerByStudent.get(student._id.toString());
+        const amount = roundMoney(student.balance - (ledger ? ledger.total : 0));
+        if (amount === 0) continue;
+        await WalletEntry.create({
+            studentId: student._id,
+            type: 'opening_balance',
+            amount,
+            balanceAfter: amount,
+            actorType: 'system',
+            note: 'Balance carried over from before the wallet ledger',
+            timestamp: ledger ? new Date(ledger.firstEntryAt.getTime() - 1) : new Date()
+        });
+        opened += 1;
     }
-});
+    if (opened > 0) {
+        console.log(`Opened wallet ledgers for ${opened} existing balance(s)`);
+    }
+};
 
-// Lessons Endpoints
-app.post('/api/lessons', async (req, res) => {
+// ----------------------------------------------------
+// Authentication & Authorization
+// ----------------------------------------------------
+
+// Issue a signed access/refresh token pair for a user
+const signTokens = (user) => {
+    const payload = { sub: user._id.toString(), type: user.type, tv: user.tokenVersion };
+    return {
+        accessToken: jwt.sign({ ...payload, use: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+        refreshToken: jwt.sign({ ...payload, use: 'refresh' }, JWT_SECRET, { expiresIn: REFRESH_TOKEN_TTL })
+    };
+};
+
+// Verify a token of the given use and load its user; returns null if the session is not valid
+const resolveTokenUser = async (token, use) => {
+    let payload;
     try {
-        const lessonData = req.body;
-        const newLesson = new Lesson(lessonData);
-        await newLesson.save();
-        res.status(201).json({ message: 'Lesson saved successfully', lesson: newLesson });
-    } catch (error) {
-        console.error('Error saving lesson:', error);
-        res.status(500).json({ message: 'Error saving lesson to database.' });
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+    if (payload.use !== use) {
+        return null;
     }
+    const user = await User.findById(payload.sub);
+    if (!user || !user.isActive || user.tokenVersion !== payload.tv) {
+        return null; // Account removed, deactivated or tokens revoked (logout, ban, credential change)
+    }
+    return user;
+};
+
+// Public view of a student's own account (never includes password or reset fields)
+const studentProfile = (student) => ({
+    id: student._id,
+    fullName: student.fullName,
+    studentNumber: student.studentNumber,
+    parentNumber: student.parentNumber,
+    gradeLevel: student.gradeLevel,
+    balance: student.balance,
+    points: student.points,
+    createdAt: student.createdAt,
+    lastActivity: student.lastActivity
 });
 
-app.get('/api/lessons', async (req, res) => {
-    try {
-        const lessons = await Lesson.find({});
-        res.status(200).json(lessons);
-    } catch (error) {
-        console.error('Error fetching lessons:', error);
-        res.status(500).json({ message: 'Error fetching lessons from database.' });
+const BAN_FIELDS_CLEARED = { isBanned: false, $unset: { banReason: 1, bannedAt: 1, bannedBy: 1, bannedByType: 1, banExpiresAt: 1 } };
+
+// Whether a student is currently banned; a timed ban that has run out is lifted on the spot
+const hasActiveBan = async (student) => {
+    if (!student.isBanned) {
+        return false;
     }
-});
+    if (student.banExpiresAt && student.banExpiresAt <= new Date()) {
+        await Student.updateOne({ _id: student._id }, BAN_FIELDS_CLEARED);
+        student.isBanned = false;
+        return false;
+    }
+    return true;
+};
+
+const bannedResponse = (res, student) => res.status(403).json({ message: 'Your account has been banned.', banReason: student.banReason, banExpiresAt: student.banExpiresAt });
 
-app.put('/api/lessons/:id', async (req, res) => {
+// Requires a valid "Authorization: Bearer <accessToken>" header and attaches req.user
+const authenticate = async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const updatedLesson = await Lesson.findByIdAndUpdate(id, req.body, { new: true });
-        if (!updatedLesson) {
-            return res.status(404).json({ message: 'Lesson not found.' });
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ message: 'Authentication required.' });
         }
-        res.status(200).json({ message: 'Lesson updated successfully', lesson: updatedLesson });
-    } catch (error) {
-        console.error('Error updating lesson:', error);
-        res.status(500).json({ message: 'Error updating lesson in database.' });
-    }
-});
 
-app.delete('/api/lessons/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const deletedLesson = await Lesson.findByIdAndDelete(id);
-        if (!deletedLesson) {
-            return res.status(404).json({ message: 'Lesson not found.' });
+        const user = await resolveTokenUser(token, 'access');
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid or expired token.' });
+        }
+        if (user.type === 'student' && await hasActiveBan(user)) {
+            return bannedResponse(res, user);
         }
-        res.status(204).send(); // No content
-    } catch (error) {
-        console.error('Error deleting lesson:', error);
-        res.status(500).json({ message: 'Error deleting lesson from database.' });
-    }
-});
 
-// Subscriptions Endpoints
-app.post('/api/subscriptions', async (req, res) => {
-    try {
-        const subscriptionData = req.body;
-        const newSubscription = new Subscription(subscriptionData);
-        await newSubscription.save();
-        res.status(201).json({ message: 'Subscription created successfully', subscription: newSubscription });
+        // Throttled activity tracking
+        const now = new Date();
+        if (!user.lastActivity || now - user.lastActivity > ACTIVITY_TOUCH_INTERVAL_MS) {
+            await User.updateOne({ _id: user._id }, { lastActivity: now });
+            user.lastActivity = now;
+        }
+
+        req.user = user;
+        next();
     } catch (error) {
-        console.error('Error creating subscription:', error);
-        res.status(500).json({ message: 'Error creating subscription in database.' });
+        sendError(res, error, 'Authentication error:', 'Server error during authentication.');
     }
-});
+};
 
-app.get('/api/subscriptions', async (req, res) => {
-    try {
-        const subscriptions = await Subscription.find({});
-        res.status(200).json(subscriptions);
-    } catch (error) {
-        console.error('Error fetching subscriptions:', error);
-        res.status(500).json({ message: 'Error fetching subscriptions from database.' });
+// Restricts a route to the given User discriminator types ('student', 'teacher', 'support')
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.type)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action.' });
     }
-});
+    next();
+};
 
-app.put('/api/subscriptions/:id', async (req, res) => {
+// Parent sessions are separate from user tokens: requires a parent token and attaches req.parentNumber
+const authenticateParent = async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const updatedSubscription = await Subscription.findByIdAndUpdate(id, req.body, { new: true });
-        if (!updatedSubscription) {
-            return res.status(404).json({ message: 'Subscription not found.' });
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ message: 'Authentication required.' });
         }
-        res.status(200).json({ message: 'Subscription updated successfully', subscription: updatedSubscription });
-    } catch (error) {
-        console.error('Error updating subscription:', error);
-        res.status(500).json({ message: 'Error updating subscription in database.' });
-    }
-});
 
-app.delete('/api/subscriptions/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const deletedSubscription = await Subscription.findByIdAndDelete(id);
-        if (!deletedSubscription) {
-            return res.status(404).json({ message: 'Subscription not found.' });
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (err) {
+            payload = null;
         }
-        res.status(204).send();
+        const access = payload && payload.use === 'parent' && await ParentAccessCode.findById(payload.sid);
+        if (!access || access.revokedAt) {
+            return res.status(401).json({ message: 'Invalid or expired token.' });
+        }
+
+        req.parentNumber = access.parentNumber;
+        next();
     } catch (error) {
-        console.error('Error deleting subscription:', error);
-        res.status(500).json({ message: 'Error deleting subscription from database.' });
+        sendError(res, error, 'Parent authentication error:', 'Server error during authentication.');
+    }
+};
+
+// Restricts a teacher route to full teachers (not assistants); use after authorize('teacher')
+const requireFullTeacher = (req, res, next) => {
+    if (req.user.teacherRole === 'assistant') {
+        return res.status(403).json({ message: 'Assistants cannot perform this action.' });
     }
+    next();
+};
+
+const teacherProfile = (teacher) => ({
+    id: teacher._id,
+    fullName: teacher.fullName,
+    teacherCode: teacher.teacherCode,
+    phoneNumber: teacher.phoneNumber,
+    teacherRole: teacher.teacherRole,
+    isActive: teacher.isActive,
+    createdAt: teacher.createdAt,
+    lastActivity: teacher.lastActivity
 });
 
+// ----------------------------------------------------
+// Shared Helpers
+// ----------------------------------------------------
 
-// General Messages Endpoints
-app.post('/api/general-messages', async (req, res) => {
-    try {
-        const messageData = req.body;
-        const newGeneralMessage = new GeneralMessage(messageData);
-        await newGeneralMessage.save();
-        res.status(201).json({ message: 'General message sent successfully', generalMessage: newGeneralMessage });
-    } catch (error) {
-        console.error('Error sending general message:', error);
-        res.status(500).json({ message: 'Error sending general message to database.' });
+// Error carrying an HTTP status; thrown inside transactions to abort them with a client-facing message
+class HttpError extends Error {
+    constructor(status, message, errors) {
+        super(message);
+        this.status = status;
+        this.errors = errors; // Optional field-level list: [{ field, message }]
     }
-});
+}
 
-app.get('/api/general-messages', async (req, res) => {
-    try {
-        const generalMessages = await GeneralMessage.find({});
-        res.status(200).json(generalMessages);
-    } catch (error) {
-        console.error('Error fetching general messages:', error);
-        res.status(500).json({ message: 'Error fetching general messages from database.' });
+// Send a consistent error response: known client errors become 400/404/409 with a field-level
+// error list where it applies, anything else is logged and answered with a 500 and fallbackMessage
+const sendError = (res, error, logLabel, fallbackMessage) => {
+    if (error instanceof HttpError) {
+        return res.status(error.status).json(error.errors ? { message: error.message, errors: error.errors } : { message: error.message });
     }
-});
+    if (error instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return res.status(400).json({ message: 'Validation failed.', errors: [{ field: error.path, message: `must be a valid ${error.kind}` }] });
+    }
+    if (error.code === 11000) {
+        const errors = Object.keys(error.keyValue || error.keyPattern || {}).map(field => ({ field, message: 'is already in use' }));
+        return res.status(409).json({ message: 'A record with these values already exists.', errors });
+    }
+    console.error(logLabel, error);
+    res.status(500).json({ message: fallbackMessage });
+};
 
-app.delete('/api/general-messages/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const deletedMessage = await GeneralMessage.findByIdAndDelete(id);
-        if (!deletedMessage) {
-            return res.status(404).json({ message: 'General message not found.' });
-        }
-        res.status(204).send();
-    } catch (error) {
-        console.error('Error deleting general message:', error);
-        res.status(500).json({ message: 'Error deleting general message from database.' });
+// ----------------------------------------------------
+// Request Validation
+// ----------------------------------------------------
+//
+// Routes validate bodies with validateBody (see validation.js for the rule format).
+
+const GRADES = ['first', 'second', 'third', 'all'];
+
+// Every :id route parameter is a MongoDB ObjectId
+app.param('id', (req, res, next, id) => {
+    if (!OBJECT_ID_PATTERN.test(id)) {
+        return res.status(400).json({ message: 'Validation failed.', errors: [{ field: 'id', message: 'must be a valid ID' }] });
     }
+    next();
 });
 
-// Books Endpoints
-app.post('/api/books', async (req, res) => {
-    try {
-        const bookData = req.body;
-        const newBook = new Book(bookData);
-        await newBook.save();
-        res.status(201).json({ message: 'Book added successfully', book: newBook });
-    } catch (error) {
-        console.error('Error adding book:', error);
-        res.status(500).json({ message: 'Error adding book to database.' });
+// ----------------------------------------------------
+// List Query Helpers
+// ----------------------------------------------------
+//
+// Catalogue lists take ?page=&limit= for paging, ?sort=field or ?sort=-field for ordering, ?q= for
+// text search and per-route filters, and answer with { items, total, page, limit, totalPages }.
+
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+
+const queryError = (field, message) => new HttpError(400, 'Validation failed.', [{ field, message }]);
+
+// Paging and sort options from the query string; sortable lists the fields callers may sort on
+const parseListOptions = (query, { sortable, defaultSort }) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+
+    const sortParam = String(query.sort || defaultSort);
+    const field = sortParam.replace(/^-/, '');
+    if (!sortable.includes(field)) {
+        throw queryError('sort', `must be one of: ${sortable.join(', ')} (prefix with - for descending)`);
     }
-});
+    const sort = { [field]: sortParam.startsWith('-') ? -1 : 1, _id: 1 }; // _id keeps paging stable on ties
 
-app.get('/api/books', async (req, res) => {
-    try {
-        const books = await Book.find({});
-        res.status(200).json(books);
-    } catch (error) {
-        console.error('Error fetching books:', error);
-        res.status(500).json({ message: 'Error fetching books from database.' });
+    return { page, limit, skip: (page - 1) * limit, sort };
+};
+
+// Add an equality filter from an enum-valued query parameter
+const addEnumFilter = (filter, query, param, allowed, field = param) => {
+    if (query[param] === undefined) return;
+    const value = String(query[param]);
+    if (!allowed.includes(value)) {
+        throw queryError(param, `must be one of: ${allowed.join(', ')}`);
     }
-});
+    filter[field] = value;
+};
 
-app.put('/api/books/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updatedBook = await Book.findByIdAndUpdate(id, req.body, { new: true });
-        if (!updatedBook) {
-            return res.status(404).json({ message: 'Book not found.' });
-        }
-        res.status(200).json({ message: 'Book updated successfully', book: updatedBook });
-    } catch (error) {
-        console.error('Error updating book:', error);
-        res.status(500).json({ message: 'Error updating book in database.' });
+const addBooleanFilter = (filter, query, param, field = param) => {
+    if (query[param] === undefined) return;
+    const value = String(query[param]);
+    if (value !== 'true' && value !== 'false') {
+        throw queryError(param, 'must be true or false');
     }
-});
+    filter[field] = value === 'true';
+};
 
-app.delete('/api/books/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const deletedBook = await Book.findByIdAndDelete(id);
-        if (!deletedBook) {
-            return res.status(404).json({ message: 'Book not found.' });
+// ?minPrice= and ?maxPrice= as an inclusive range on price
+const addPriceRangeFilter = (filter, query) => {
+    ['minPrice', 'maxPrice'].forEach((param) => {
+        if (query[param] === undefined) return;
+        const value = Number(query[param]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw queryError(param, 'must be a non-negative number');
         }
-        res.status(204).send();
-    } catch (error) {
-        console.error('Error deleting book:', error);
-        res.status(500).json({ message: 'Error deleting book from database.' });
+        filter.price = { ...filter.price, [param === 'minPrice' ? '$gte' : '$lte']: value };
+    });
+};
+
+// ?q= full-text search; needs a text index on the collection
+const addTextSearch = (filter, query) => {
+    if (query.q !== undefined && String(query.q).trim()) {
+        filter.$text = { $search: String(query.q).trim() };
     }
+};
+
+const paginate = async (Model, filter, { page, limit, skip, sort }, projection) => {
+    const [items, total] = await Promise.all([
+        Model.find(filter, projection).sort(sort).skip(skip).limit(limit),
+        Model.countDocuments(filter)
+    ]);
+    return { items, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+// ----------------------------------------------------
+// Activity Log & Notification Helpers
+// ----------------------------------------------------
+
+// Record a staff action in the activity log; student actions are never logged here
+const logSupportActivity = async (user, action, details, session) => {
+    if (user.type !== 'support' && user.type !== 'teacher') {
+        return;
+    }
+    await SupportActivityLog.create([{ supportId: user._id, supportName: user.fullName, actorType: user.type, action, details }], { session });
+};
+
+const notifyStudent = async (studentId, { type, title, message, relatedId, canReply = false }, session) => {
+    await StudentNotification.create([{ studentId, type, title, message, relatedId, canReply }], { session });
+};
+
+// ----------------------------------------------------
+// Points & Coupon Helpers
+// ----------------------------------------------------
+
+// Award points for an event according to its PointRule; returns the points awarded
+const awardPoints = async (studentId, event, reason, session) => {
+    const rule = await PointRule.findOne({ event, isActive: true }).session(session);
+    if (!rule || rule.points <= 0) {
+        return 0;
+    }
+    await Student.updateOne({ _id: studentId }, { $inc: { points: rule.points } }, { session });
+    await RewardHistory.create([{ studentId, points: rule.points, reason }], { session });
+    return rule.points;
+};
+
+const normalizeCouponCode = (code) => String(code).toUpperCase().trim();
+
+// Throw a 400 explaining why a coupon cannot be used by this student on this item
+const assertCouponApplies = async (coupon, student, itemType, itemId, session) => {
+    const now = new Date();
+    if (!coupon || !coupon.isActive || (coupon.studentId && !coupon.studentId.equals(student._id))) {
+        throw new HttpError(400, 'Invalid coupon code.');
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+        throw new HttpError(400, 'This coupon is not valid yet.');
+    }
+    if (coupon.endsAt && coupon.endsAt <= now) {
+        throw new HttpError(400, 'This coupon has expired.');
+    }
+    if ((coupon.itemTypes.length && !coupon.itemTypes.includes(itemType))
+        || (coupon.itemIds.length && !coupon.itemIds.some(id => id.equals(itemId)))) {
+        throw new HttpError(400, 'This coupon does not apply to this item.');
+    }
+    if (coupon.gradeLevels.length && !coupon.gradeLevels.includes(student.gradeLevel)) {
+        throw new HttpError(400, 'This coupon is not available for your grade.');
+    }
+    if (coupon.maxUses != null && coupon.usedCount >= coupon.maxUses) {
+        throw new HttpError(400, 'This coupon has reached its usage limit.');
+    }
+    if (coupon.maxUsesPerStudent != null) {
+        const uses = await CouponRedemption.countDocuments({ couponId: coupon._id, studentId: student._id }).session(session || null);
+        if (uses >= coupon.maxUsesPerStudent) {
+            throw new HttpError(400, 'You have already used this coupon.');
+        }
+    }
+};
+
+// Consume one use of a coupon against referenceId (the PurchasedItem or BookOrder) and return
+// the discounted price; must run inside a transaction. The usedCount $inc makes concurrent
+// transactions on the same coupon conflict, so the retried one re-checks both limits.
+const redeemCoupon = async (code, student, { itemType, itemId, price, referenceId }, session) => {
+    const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) }).session(session);
+    await assertCouponApplies(coupon, student, itemType, itemId, session);
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: 1 } }, { session });
+
+    const discounted = applyDiscount(price, coupon.discountType, coupon.discountValue);
+    await CouponRedemption.create([{
+        couponId: coupon._id,
+        studentId: student._id,
+        itemType,
+        itemId,
+        referenceId,
+        originalPrice: price,
+        discountedPrice: discounted
+    }], { session });
+    return { coupon, price: discounted };
+};
+
+// Give back a coupon use when the order it was spent on is cancelled
+const releaseCoupon = async (couponId, referenceId, session) => {
+    const redemption = await CouponRedemption.findOneAndDelete({ couponId, referenceId }, { session });
+    if (redemption) {
+        await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } }, { session });
+    }
+};
+
+// ----------------------------------------------------
+// Wallet Ledger
+// ----------------------------------------------------
+
+// The only way to change Student.balance: applies a signed amount and records it with its source
+// document and actor (a user, or null for the system). Debits never take the balance below zero.
+// Must run inside a transaction so the balance and its entry commit together.
+const postWalletEntry = async ({ studentId, amount, type, source, actor, note }, session) => {
+    const filter = amount < 0 ? { _id: studentId, balance: { $gte: -amount } } : { _id: studentId };
+    const student = await Student.findOneAndUpdate(filter, { $inc: { balance: amount } }, { new: true, session });
+    if (!student) {
+        throw await Student.exists({ _id: studentId }).session(session)
+            ? new HttpError(400, 'Insufficient balance.')
+            : new HttpError(404, 'Student not found.');
+    }
+
+    const [entry] = await WalletEntry.create([{
+        studentId,
+        type,
+        amount,
+        balanceAfter: student.balance,
+        sourceType: source && source.type,
+        sourceId: source && source.id,
+        actorId: actor ? actor._id : undefined,
+        actorType: actor ? actor.type : 'system',
+        note
+    }], { session });
+    return { student, entry };
+};
+
+// ----------------------------------------------------
+// Lesson Entitlement Helpers
+// ----------------------------------------------------
+
+// Paid lesson content that is only sent to students who own the lesson
+const LESSON_MEDIA_FIELDS = ['videoFile', 'pdfFile', 'homeworkFile', 'solutionFile', 'homeworkSolutionVideo'];
+
+// IDs (as strings) of every lesson a student owns, directly or through an unexpired subscription
+const getOwnedLessonIds = async (studentId) => {
+    const purchases = await PurchasedItem.find({
+        studentId,
+        $or: [{ itemType: 'Lesson' }, { itemType: 'Subscription', expiryDate: { $gt: new Date() } }]
+    });
+
+    const owned = new Set(purchases.filter(p => p.itemType === 'Lesson').map(p => p.itemId.toString()));
+    const subscriptionIds = purchases.filter(p => p.itemType === 'Subscription').map(p => p.itemId);
+    if (subscriptionIds.length > 0) {
+        const subscriptions = await Subscription.find({ _id: { $in: subscriptionIds } }, { includedLessons: 1 });
+        subscriptions.forEach(sub => sub.includedLessons.forEach(lessonId => owned.add(lessonId.toString())));
+    }
+    return owned;
+};
+
+const ownsLesson = async (studentId, lessonId) => (await getOwnedLessonIds(studentId)).has(lessonId.toString());
+
+// Lesson grades visible to a student: their own grade plus lessons for everyone
+const studentGradeFilter = (student) => (student.gradeLevel === 'all' ? {} : { grade: { $in: [student.gradeLevel, 'all'] } });
+
+const HOMEWORK_SOLUTION_FIELDS = ['solutionFile', 'homeworkSolutionVideo'];
+
+// Solutions stay locked until the student hands in their homework or the deadline passes;
+// a lesson without homework has nothing to hand in, so its solutions are open to owners
+const solutionsUnlocked = (lesson, hasSubmitted) => !lesson.homeworkFile || hasSubmitted
+    || (!!lesson.homeworkDeadline && lesson.homeworkDeadline <= new Date());
+
+// IDs (as strings) of the lessons a student has handed homework in for
+const getSubmittedLessonIds = async (studentId) => {
+    const lessonIds = await HomeworkSubmission.distinct('lessonId', { studentId });
+    return new Set(lessonIds.map(id => id.toString()));
+};
+
+// Student view of a lesson: correct answers are always removed, media only when owned,
+// and homework solutions only once solutionsUnlocked
+const lessonForStudent = (lesson, isOwned, hasSubmitted = false) => {
+    const view = lesson.toObject();
+    view.examQuestions = (view.examQuestions || []).map(({ correctAnswer, ...question }) => question);
+    if (!isOwned) {
+        LESSON_MEDIA_FIELDS.forEach(field => delete view[field]);
+    } else if (!solutionsUnlocked(lesson, hasSubmitted)) {
+        HOMEWORK_SOLUTION_FIELDS.forEach(field => delete view[field]);
+    }
+    view.isOwned = isOwned;
+    view.homeworkSubmitted = hasSubmitted;
+    return view;
+};
+
+// ----------------------------------------------------
+// Rate Limiting & Account Lockout
+// ----------------------------------------------------
+
+// Available stores, selected with RATE_LIMIT_STORE
+const rateLimitStores = {
+    memory: createMemoryRateLimitStore,
+    mongo: () => createMongoRateLimitStore(RateLimitEntry)
+};
+
+if (!rateLimitStores[RATE_LIMIT_STORE]) {
+    console.error(`ERROR: Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}".`);
+    process.exit(1);
+}
+const rateLimitStore = rateLimitStores[RATE_LIMIT_STORE]();
+
+const tooManyRequests = (res, retryAt, message) => {
+    const retryAfterSeconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ message, retryAfterSeconds });
+};
+
+// Per-IP request limit for one route (or group sharing a scope); { max, windowMinutes }
+const rateLimit = (scope, { max, windowMinutes }) => async (req, res, next) => {
+    try {
+        const { count, resetAt } = await rateLimitStore.increment(`ip:${scope}:${req.ip}`, windowMinutes * 60 * 1000);
+        if (count > max) {
+            return tooManyRequests(res, resetAt, 'Too many requests. Please try again later.');
+        }
+        next();
+    } catch (error) {
+        sendError(res, error, 'Rate limit error:', 'Server error while checking request limits.');
+    }
+};
+
+const LOCKOUT_STATE_TTL_MS = DAY_MS; // Failures and the backoff are counted over a day from the first failure
+
+const lockoutKey = (scope, identifier) => `lockout:${scope}:${String(identifier).trim().toLowerCase()}`;
+
+const LOCKOUT_POLICY = { threshold: LOCKOUT_THRESHOLD, baseMinutes: LOCKOUT_BASE_MINUTES, maxMinutes: LOCKOUT_MAX_MINUTES };
+
+// Failures are an atomic counter (<key>:failures); <key>:lock holds { lockouts, lockedUntil } for the last lockout
+const clearLockout = async (key) => {
+    await rateLimitStore.remove(`${key}:failures`);
+    await rateLimitStore.remove(`${key}:lock`);
+};
+
+// Failed-attempt tracking per account: every LOCKOUT_THRESHOLD failures lock the account, for
+// LOCKOUT_BASE_MINUTES doubled with each further lockout. The lock is derived from the failure counter,
+// so concurrent failures cannot overwrite each other and a lockout that is owed but not yet recorded
+// already refuses attempts. identify(req) names the account (as submitted, so unknown accounts are
+// throttled too). Handlers call req.lockout.fail() or .succeed().
+const guardAccount = (scope, identify) => async (req, res, next) => {
+    try {
+        const identifier = identify(req);
+        const key = lockoutKey(scope, identifier);
+        const failures = (await rateLimitStore.get(`${key}:failures`)) || 0;
+        const lock = await rateLimitStore.get(`${key}:lock`);
+        const { locked, retryAt } = lockoutStatus(failures, lock, LOCKOUT_POLICY);
+        if (locked) {
+            return tooManyRequests(res, retryAt, 'Too many failed attempts. This account is temporarily locked.');
+        }
+
+        req.lockout = {
+            async fail() {
+                const { count } = await rateLimitStore.increment(`${key}:failures`, LOCKOUT_STATE_TTL_MS);
+                const lockouts = lockoutsReached(count, LOCKOUT_POLICY);
+                if (!lockouts) {
+                    return;
+                }
+                const minutes = lockoutMinutes(lockouts, LOCKOUT_POLICY);
+                const lockedUntil = Date.now() + minutes * 60 * 1000;
+                await rateLimitStore.set(`${key}:lock`, { lockouts, lockedUntil }, Math.max(LOCKOUT_STATE_TTL_MS, lockedUntil - Date.now()));
+                await LockoutLog.create({ scope, identifier: String(identifier), ip: req.ip, lockoutCount: lockouts, lockedUntil: new Date(lockedUntil) });
+                console.warn(`Locked ${scope} account "${identifier}" for ${minutes} minute(s) after repeated failures`);
+            },
+            async succeed() {
+                await clearLockout(key);
+            }
+        };
+        next();
+    } catch (error) {
+        sendError(res, error, 'Account lockout check error:', 'Server error while checking account status.');
+    }
+};
+
+// ----------------------------------------------------
+// File Storage Service
+// ----------------------------------------------------
+
+// Available backends, selected with STORAGE_BACKEND; each implements put/stat/createReadStream/remove
+const storageBackends = {
+    local: () => createLocalDiskStorage(UPLOAD_DIR)
+};
+
+if (!storageBackends[STORAGE_BACKEND]) {
+    console.error(`ERROR: Unknown STORAGE_BACKEND "${STORAGE_BACKEND}".`);
+    process.exit(1);
+}
+const fileStorage = storageBackends[STORAGE_BACKEND]();
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm'];
+const AUDIO_TYPES = ['audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/webm', 'audio/wav'];
+const DOCUMENT_TYPES = ['application/pdf', ...IMAGE_TYPES];
+
+// What each upload field accepts and who may upload it; publicToStudents files can be fetched by any student
+const UPLOAD_RULES = {
+    coverImage: { roles: ['teacher'], mimeTypes: IMAGE_TYPES, maxBytes: 5 * MB, publicToStudents: true },
+    videoFile: { roles: ['teacher'], mimeTypes: VIDEO_TYPES, maxBytes: 2048 * MB },
+    pdfFile: { roles: ['teacher'], mimeTypes: ['application/pdf'], maxBytes: 50 * MB },
+    homeworkFile: { roles: ['teacher'], mimeTypes: DOCUMENT_TYPES, maxBytes: 50 * MB },
+    solutionFile: { roles: ['teacher'], mimeTypes: DOCUMENT_TYPES, maxBytes: 50 * MB },
+    homeworkSolutionVideo: { roles: ['teacher'], mimeTypes: VIDEO_TYPES, maxBytes: 2048 * MB },
+    subscriptionImage: { roles: ['teacher'], mimeTypes: IMAGE_TYPES, maxBytes: 5 * MB, publicToStudents: true },
+    bookImage: { roles: ['teacher'], mimeTypes: IMAGE_TYPES, maxBytes: 5 * MB, publicToStudents: true },
+    receiptImage: { roles: ['student'], mimeTypes: IMAGE_TYPES, maxBytes: 5 * MB },
+    homeworkSubmission: { roles: ['student'], mimeTypes: DOCUMENT_TYPES, maxBytes: 20 * MB },
+    questionImage: { roles: ['student'], mimeTypes: IMAGE_TYPES, maxBytes: 5 * MB },
+    replyImage: { roles: ['student', 'teacher', 'support'], mimeTypes: IMAGE_TYPES, maxBytes: 5 * MB },
+    replyAudio: { roles: ['student', 'teacher', 'support'], mimeTypes: AUDIO_TYPES, maxBytes: 20 * MB }
+};
+
+// Own keys only, so names like "constructor" or "__proto__" never resolve to an inherited value
+const getUploadRule = (field) => (Object.hasOwn(UPLOAD_RULES, field) ? UPLOAD_RULES[field] : undefined);
+
+// Multer storage engine that streams each upload straight into the configured backend
+const backendStorageEngine = createBackendStorageEngine(fileStorage);
+
+// Accepts a single multipart "file" part for the upload rule named by req.params.field
+const handleUpload = (req, res, next) => {
+    const rule = getUploadRule(req.params.field);
+    if (!rule) {
+        return res.status(404).json({ message: 'Unknown upload field.' });
+    }
+    if (!rule.roles.includes(req.user.type)) {
+        return res.status(403).json({ message: 'You do not have permission to upload this file.' });
+    }
+
+    const upload = multer({
+        storage: backendStorageEngine,
+        limits: { fileSize: rule.maxBytes, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (!rule.mimeTypes.includes(file.mimetype)) {
+                return cb(new HttpError(415, `Unsupported file type. Allowed: ${rule.mimeTypes.join(', ')}.`));
+            }
+            cb(null, true);
+        }
+    }).single('file');
+
+    upload(req, res, (err) => {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err instanceof multer.MulterError) {
+            return err.code === 'LIMIT_FILE_SIZE'
+                ? res.status(413).json({ message: `File is too large. Maximum size is ${Math.round(rule.maxBytes / MB)} MB.` })
+                : res.status(400).json({ message: err.message });
+        }
+        if (err) {
+            console.error('File upload error:', err);
+            return res.status(500).json({ message: 'Error storing uploaded file.' });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded. Send it in a multipart field named "file".' });
+        }
+        next();
+    });
+};
+
+const signFileKey = (key, expires) => crypto.createHmac('sha256', JWT_SECRET).update(`file:${key}:${expires}`).digest('hex');
+
+const verifyFileSignature = (key, expires, signature) => {
+    if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+        return false;
+    }
+    const expected = Buffer.from(signFileKey(key, expires));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Whether a user may download a stored file; staff can read everything
+const canAccessFile = async (user, file) => {
+    if (user.type !== 'student' || file.uploadedBy.equals(user._id)) {
+        return true;
+    }
+    const rule = getUploadRule(file.field);
+    if (rule && rule.publicToStudents) {
+        return true;
+    }
+    if (LESSON_MEDIA_FIELDS.includes(file.field)) {
+        const lesson = await Lesson.findOne({ [file.field]: file.key }, { _id: 1, homeworkFile: 1, homeworkDeadline: 1 });
+        if (!lesson || !(await ownsLesson(user._id, lesson._id))) {
+            return false;
+        }
+        return !HOMEWORK_SOLUTION_FIELDS.includes(file.field)
+            || solutionsUnlocked(lesson, !!(await HomeworkSubmission.exists({ studentId: user._id, lessonId: lesson._id })));
+    }
+    if (file.field === 'replyImage' || file.field === 'replyAudio') {
+        return !!(await StudentMessage.exists({
+            studentId: user._id,
+            $or: [{ 'replies.replyImageKey': file.key }, { 'replies.replyAudioKey': file.key }]
+        }));
+    }
+    return false;
+};
+
+// ----------------------------------------------------
+// API Endpoints
+// ----------------------------------------------------
+
+// Health Check
+app.get('/api/health', (req, res) => {
+    res.status(200).json({ status: 'ok', message: 'Server is healthy' });
 });
 
-// Payment Methods Endpoints
-app.post('/api/payment-methods', async (req, res) => {
+// Authentication
+const registerFields = {
+    fullName: { type: 'string', required: true, maxLength: 100 },
+    studentNumber: { type: 'string', required: true, maxLength: 20 },
+    parentNumber: { type: 'string', required: true, maxLength: 20 },
+    password: { type: 'string', required: true, minLength: 6, trim: false },
+    gradeLevel: { type: 'string', required: true, enum: GRADES }
+};
+
+app.post('/api/auth/register', rateLimit('register', REGISTER_RATE_LIMIT), validateBody(registerFields), async (req, res) => {
     try {
-        const { name, number, password } = req.body;
+        const { fullName, studentNumber, parentNumber, password, gradeLevel } = req.body;
+
+        // Check if studentNumber or fullName already exists
+        const existingStudent = await Student.findOne({ $or: [{ studentNumber: studentNumber }, { fullName: fullName }] });
+        if (existingStudent) {
+            return res.status(409).json({ message: 'Student with this number or name already exists.' });
+        }
+
         const hashedPassword = await bcrypt.hash(password, 10);
-        const newMethod = new PaymentMethod({ name, number, password: hashedPassword });
-        await newMethod.save();
-        res.status(201).json({ message: 'Payment method added successfully', method: newMethod });
+        const newStudent = new Student({
+            fullName,
+            studentNumber,
+            parentNumber,
+            password: hashedPassword,
+            gradeLevel,
+            type: 'student',
+            balance: 0,
+            points: 0,
+            isBanned: false,
+            createdAt: new Date(),
+            lastActivity: new Date()
+        });
+        await newStudent.save();
+        res.status(201).json({ message: 'Student registered successfully', studentId: newStudent._id });
     } catch (error) {
-        console.error('Error adding payment method:', error);
-        res.status(500).json({ message: 'Error adding payment method to database.' });
+        sendError(res, error, 'Student registration error:', 'Server error during registration.');
     }
 });
 
-app.get('/api/payment-methods', async (req, res) => {
+const studentLoginFields = {
+    studentNumber: { type: 'string', required: true },
+    password: { type: 'string', required: true, trim: false }
+};
+
+app.post('/api/auth/student-login', rateLimit('student-login', AUTH_RATE_LIMIT), validateBody(studentLoginFields), guardAccount('student-login', req => req.body.studentNumber), async (req, res) => {
     try {
-        const methods = await PaymentMethod.find({}, { password: 0 }); // Don't return hashed password
-        res.status(200).json(methods);
+        const { studentNumber, password } = req.body;
+
+        const student = await Student.findOne({ studentNumber });
+        if (!student || !(await bcrypt.compare(password, student.password))) {
+            await req.lockout.fail();
+            return res.status(401).json({ message: 'Invalid student number or password.' });
+        }
+        await req.lockout.succeed();
+        if (await hasActiveBan(student)) {
+            return bannedResponse(res, student);
+        }
+
+        student.lastActivity = new Date();
+        await student.save();
+
+        res.status(200).json({ message: 'Student login successful', user: { id: student._id, name: student.fullName, type: 'student' }, ...signTokens(student) });
     } catch (error) {
-        console.error('Error fetching payment methods:', error);
-        res.status(500).json({ message: 'Error fetching payment methods from database.' });
+        sendError(res, error, 'Student login error:', 'Server error during student login.');
     }
 });
 
-app.delete('/api/payment-methods/:id', async (req, res) => {
+// Complete a staff-initiated password reset with the one-time code
+const resetPasswordFields = {
+    studentNumber: { type: 'string', required: true },
+    code: { type: 'string', required: true },
+    newPassword: { type: 'string', required: true, minLength: 6, trim: false }
+};
+
+app.post('/api/auth/reset-password', rateLimit('reset-password', AUTH_RATE_LIMIT), validateBody(resetPasswordFields), guardAccount('reset-password', req => req.body.studentNumber), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { password } = req.body; // Password for deletion authorization
+        const { studentNumber, code, newPassword } = req.body;
 
-        const method = await PaymentMethod.findById(id);
-        if (!method) {
-            return res.status(404).json({ message: 'Payment method not found.' });
+        const student = await Student.findOne({ studentNumber });
+        const isValid = student && student.passwordResetCode && student.passwordResetExpires > new Date()
+            && await bcrypt.compare(code, student.passwordResetCode);
+        if (!isValid) {
+            await req.lockout.fail();
+            return res.status(400).json({ message: 'Invalid or expired reset code.' });
         }
+        await req.lockout.succeed();
 
-        const isMatch = await bcrypt.compare(password, method.password);
+        student.password = await bcrypt.hash(newPassword, 10);
+        student.passwordResetCode = undefined;
+        student.passwordResetExpires = undefined;
+        student.tokenVersion += 1; // Sign out every existing session
+        await student.save();
+
+        res.status(200).json({ message: 'Password reset successfully' });
+    } catch (error) {
+        sendError(res, error, 'Password reset error:', 'Server error during password reset.');
+    }
+});
+
+const teacherLoginFields = {
+    code: { type: 'string', required: true },
+    phone: { type: 'string', required: true },
+    password: { type: 'string', required: true, trim: false }
+};
+
+app.post('/api/auth/teacher-login', rateLimit('teacher-login', AUTH_RATE_LIMIT), validateBody(teacherLoginFields), guardAccount('teacher-login', req => req.body.phone), async (req, res) => {
+    try {
+        const { code, phone, password } = req.body;
+
+        const teacher = await Teacher.findOne({ teacherCode: code, phoneNumber: phone });
+        if (!teacher || !teacher.isActive || !(await bcrypt.compare(password, teacher.password))) {
+            await req.lockout.fail();
+            return res.status(401).json({ message: 'Invalid teacher credentials.' });
+        }
+        await req.lockout.succeed();
+        if (password === LEGACY_TEACHER_PASSWORD) {
+            return res.status(403).json({ message: 'This account still uses the old default password and must be reset by a full teacher.' });
+        }
+
+        teacher.lastActivity = new Date();
+        await teacher.save();
+
+        res.status(200).json({ message: 'Teacher login successful', user: { id: teacher._id, name: teacher.fullName, type: 'teacher', teacherRole: teacher.teacherRole }, ...signTokens(teacher) });
+    } catch (error) {
+        sendError(res, error, 'Teacher login error:', 'Server error during teacher login.');
+    }
+});
+
+const supportLoginFields = {
+    name: { type: 'string', required: true },
+    code: { type: 'string', required: true, trim: false }
+};
+
+app.post('/api/auth/support-login', rateLimit('support-login', AUTH_RATE_LIMIT), validateBody(supportLoginFields), guardAccount('support-login', req => req.body.name), async (req, res) => {
+    try {
+        const { name, code } = req.body;
+
+        // Codes are hashed, so check each active account with this name
+        const candidates = await SupportStaff.find({ fullName: name, ...ACTIVE_USER });
+        let supportUser = null;
+        for (const candidate of candidates) {
+            if (await bcrypt.compare(code, candidate.supportCode)) {
+                supportUser = candidate;
+                break;
+            }
+        }
+
+        if (!supportUser) {
+            await req.lockout.fail();
+            return res.status(401).json({ message: 'Invalid support credentials.' });
+        }
+        await req.lockout.succeed();
+
+        // Update last login time; isOnline follows the event stream connection
+        supportUser.lastActivity = new Date();
+        await supportUser.save();
+
+        res.status(200).json({ message: 'Support login successful', user: { id: supportUser._id, name: supportUser.fullName, type: 'support' }, ...signTokens(supportUser) });
+    } catch (error) {
+        sendError(res, error, 'Support login error:', 'Server error during support login.');
+    }
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', rateLimit('refresh', AUTH_RATE_LIMIT), validateBody({ refreshToken: { type: 'string', required: true } }), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const user = await resolveTokenUser(refreshToken, 'refresh');
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+        }
+        if (user.type === 'student' && await hasActiveBan(user)) {
+            return bannedResponse(res, user);
+        }
+
+        user.lastActivity = new Date();
+        await user.save();
+
+        res.status(200).json({ message: 'Token refreshed successfully', ...signTokens(user) });
+    } catch (error) {
+        sendError(res, error, 'Token refresh error:', 'Server error during token refresh.');
+    }
+});
+
+// Logout revokes every token issued to the user so far
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+    try {
+        const user = req.user;
+        user.tokenVersion += 1;
+        if (user.type === 'support') {
+            user.isOnline = false;
+            user.lastLogout = new Date();
+        }
+        await user.save();
+        res.status(200).json({ message: 'Logged out successfully' });
+    } catch (error) {
+        sendError(res, error, 'Logout error:', 'Server error during logout.');
+    }
+});
+
+// Student Account Endpoints
+app.get('/api/students/me', authenticate, authorize('student'), (req, res) => {
+    res.status(200).json(studentProfile(req.user));
+});
+
+app.put('/api/students/me', authenticate, authorize('student'), validateBody({ parentNumber: { type: 'string', required: true, maxLength: 20 } }), async (req, res) => {
+    try {
+        const { parentNumber } = req.body;
+
+        req.user.parentNumber = parentNumber;
+        await req.user.save();
+        res.status(200).json({ message: 'Profile updated successfully', student: studentProfile(req.user) });
+    } catch (error) {
+        sendError(res, error, 'Error updating student profile:', 'Error updating student profile.');
+    }
+});
+
+const changePasswordFields = {
+    currentPassword: { type: 'string', required: true, trim: false },
+    newPassword: { type: 'string', required: true, minLength: 6, trim: false }
+};
+
+app.put('/api/students/me/password', authenticate, authorize('student'), validateBody(changePasswordFields), guardAccount('password-change', req => req.user._id), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const student = req.user;
+        const isMatch = await bcrypt.compare(currentPassword, student.password);
         if (!isMatch) {
-            return res.status(401).json({ message: 'Incorrect control password.' });
+            await req.lockout.fail();
+            return res.status(401).json({ message: 'Current password is incorrect.' });
         }
+        await req.lockout.succeed();
 
-        await PaymentMethod.findByIdAndDelete(id);
-        res.status(204).send();
+        student.password = await bcrypt.hash(newPassword, 10);
+        student.tokenVersion += 1; // Revoke other sessions, then hand this one a fresh pair
+        await student.save();
+        res.status(200).json({ message: 'Password changed successfully', ...signTokens(student) });
+    } catch (error) {
+        sendError(res, error, 'Error changing student password:', 'Error changing password.');
+    }
+});
+
+// Staff start a password reset; the returned code is shared with the parent out of band
+app.post('/api/students/:id/password-reset', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const student = await Student.findById(id);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        student.passwordResetCode = await bcrypt.hash(code, 10);
+        student.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_CODE_TTL_MINUTES * 60 * 1000);
+        await student.save();
+
+        res.status(201).json({ message: 'Password reset code generated', code, expiresAt: student.passwordResetExpires });
+    } catch (error) {
+        sendError(res, error, 'Error starting password reset:', 'Error starting password reset.');
+    }
+});
+
+// Staff correct a student's parent number on the family's behalf; the change is kept in the activity log
+app.put('/api/students/:id/parent-number', authenticate, authorize('teacher', 'support'), validateBody({ parentNumber: { type: 'string', required: true, maxLength: 20 } }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { parentNumber } = req.body;
+
+        const student = await mongoose.connection.transaction(async (session) => {
+            const existing = await Student.findById(id).session(session);
+            if (!existing) {
+                throw new HttpError(404, 'Student not found.');
+            }
+            const previousParentNumber = existing.parentNumber;
+            existing.parentNumber = parentNumber;
+            await existing.save({ session });
+            await logSupportActivity(req.user, 'changed_parent_number', { studentId: existing._id, studentName: existing.fullName, previousParentNumber, parentNumber }, session);
+            return existing;
+        });
+
+        res.status(200).json({ message: 'Parent number updated successfully', student: studentProfile(student) });
+    } catch (error) {
+        sendError(res, error, 'Error updating parent number:', 'Error updating parent number.');
+    }
+});
+
+// Teacher Account Endpoints
+app.get('/api/teachers', authenticate, authorize('teacher'), requireFullTeacher, async (req, res) => {
+    try {
+        const teachers = await Teacher.find({});
+        res.status(200).json(teachers.map(teacherProfile));
     } catch (error) {
-        console.error('Error deleting payment method:', error);
-        res.status(500).json({ message: 'Error deleting payment method from database.' });
+        sendError(res, error, 'Error fetching teachers:', 'Error fetching teachers from database.');
     }
 });
 
+const teacherFields = {
+    fullName: { type: 'string', required: true, maxLength: 100 },
+    teacherCode: { type: 'string', required: true },
+    phoneNumber: { type: 'string', required: true, maxLength: 20 },
+    password: { type: 'string', required: true, minLength: 8, trim: false },
+    teacherRole: { type: 'string', enum: ['teacher', 'assistant'] }
+};
 
-// Start the server
-app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+// password resets another teacher's password (e.g. one deactivated for the legacy default) and ends their sessions
+const teacherUpdateFields = {
+    fullName: { type: 'string', maxLength: 100 },
+    teacherRole: { type: 'string', enum: ['teacher', 'assistant'] },
+    isActive: { type: 'boolean' },
+    password: { type: 'string', minLength: 8, trim: false }
+};
+
+app.post('/api/teachers', authenticate, authorize('teacher'), requireFullTeacher, validateBody(teacherFields), async (req, res) => {
+    try {
+        const { fullName, teacherCode, phoneNumber, password, teacherRole } = req.body;
+        if (password === LEGACY_TEACHER_PASSWORD) {
+            return res.status(400).json({ message: 'This password is not allowed.' });
+        }
+
+        const existingTeacher = await Teacher.findOne({ $or: [{ teacherCode }, { phoneNumber }] });
+        if (existingTeacher) {
+            return res.status(409).json({ message: 'Teacher with this code or phone number already exists.' });
+        }
+
+        const newTeacher = new Teacher({
+            fullName,
+            teacherCode,
+            phoneNumber,
+            password: await bcrypt.hash(password, 10),
+            teacherRole: teacherRole || 'assistant',
+            type: 'teacher'
+        });
+        await newTeacher.save();
+        res.status(201).json({ message: 'Teacher account created successfully', teacher: teacherProfile(newTeacher) });
+    } catch (error) {
+        sendError(res, error, 'Error creating teacher:', 'Error creating teacher account.');
+    }
+});
+
+app.put('/api/teachers/:id', authenticate, authorize('teacher'), requireFullTeacher, validateBody(teacherUpdateFields, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fullName, teacherRole, isActive, password } = req.body;
+
+        if (id === req.user._id.toString() && (isActive === false || teacherRole === 'assistant')) {
+            return res.status(400).json({ message: 'You cannot deactivate or demote your own account.' });
+        }
+        if (id === req.user._id.toString() && password !== undefined) {
+            return res.status(400).json({ message: 'Change your own password with PUT /api/teachers/me/credentials.' });
+        }
+        if (password === LEGACY_TEACHER_PASSWORD) {
+            return res.status(400).json({ message: 'This password is not allowed.' });
+        }
+
+        const teacher = await Teacher.findById(id);
+        if (!teacher) {
+            return res.status(404).json({ message: 'Teacher not found.' });
+        }
+
+        if (fullName !== undefined) teacher.fullName = fullName;
+        if (teacherRole !== undefined) teacher.teacherRole = teacherRole;
+        if (isActive !== undefined) {
+            teacher.isActive = isActive;
+            if (!isActive) teacher.tokenVersion += 1; // End the deactivated teacher's sessions
+        }
+        if (password !== undefined) {
+            teacher.password = await bcrypt.hash(password, 10);
+            teacher.tokenVersion += 1;
+        }
+        await teacher.save();
+        res.status(200).json({ message: 'Teacher account updated successfully', teacher: teacherProfile(teacher) });
+    } catch (error) {
+        sendError(res, error, 'Error updating teacher:', 'Error updating teacher account.');
+    }
+});
+
+// Rotate the logged-in teacher's own credentials (password, and optionally code and phone)
+const teacherCredentialsFields = {
+    currentPassword: { type: 'string', required: true, trim: false },
+    newPassword: { type: 'string', minLength: 8, trim: false },
+    newCode: { type: 'string' },
+    newPhone: { type: 'string', maxLength: 20 }
+};
+
+app.put('/api/teachers/me/credentials', authenticate, authorize('teacher'), validateBody(teacherCredentialsFields), guardAccount('password-change', req => req.user._id), async (req, res) => {
+    try {
+        const { currentPassword, newPassword, newCode, newPhone } = req.body;
+        if (!newPassword && !newCode && !newPhone) {
+            return res.status(400).json({ message: 'At least one new credential is required.' });
+        }
+        if (newPassword === LEGACY_TEACHER_PASSWORD) {
+            return res.status(400).json({ message: 'This password is not allowed.' });
+        }
+
+        const teacher = req.user;
+        const isMatch = await bcrypt.compare(currentPassword, teacher.password);
+        if (!isMatch) {
+            await req.lockout.fail();
+            return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+        await req.lockout.succeed();
+
+        if (newCode || newPhone) {
+            const conflicts = [];
+            if (newCode) conflicts.push({ teacherCode: newCode });
+            if (newPhone) conflicts.push({ phoneNumber: newPhone });
+            const existingTeacher = await Teacher.findOne({ _id: { $ne: teacher._id }, $or: conflicts });
+            if (existingTeacher) {
+                return res.status(409).json({ message: 'Another teacher already uses this code or phone number.' });
+            }
+        }
+
+        if (newPassword) teacher.password = await bcrypt.hash(newPassword, 10);
+        if (newCode) teacher.teacherCode = newCode;
+        if (newPhone) teacher.phoneNumber = newPhone;
+        teacher.tokenVersion += 1;
+        await teacher.save();
+
+        res.status(200).json({ message: 'Credentials updated successfully', teacher: teacherProfile(teacher), ...signTokens(teacher) });
+    } catch (error) {
+        sendError(res, error, 'Error rotating teacher credentials:', 'Error updating credentials.');
+    }
+});
+
+// Support Staff Management Endpoints
+
+const generateSupportCode = () => crypto.randomBytes(6).toString('base64url').toUpperCase();
+
+// isOnline is true while the staff member has an open event stream (GET /api/events)
+const supportStaffProfile = (member) => ({
+    id: member._id,
+    fullName: member.fullName,
+    isActive: member.isActive,
+    isOnline: member.isOnline,
+    lastActivity: member.lastActivity,
+    lastLogout: member.lastLogout,
+    createdAt: member.createdAt
+});
+
+app.get('/api/support-staff', authenticate, authorize('teacher'), requireFullTeacher, async (req, res) => {
+    try {
+        const staff = await SupportStaff.find({}).sort({ fullName: 1 });
+        res.status(200).json(staff.map(supportStaffProfile));
+    } catch (error) {
+        sendError(res, error, 'Error fetching support staff:', 'Error fetching support staff from database.');
+    }
+});
+
+// The plain support code is returned only in this response; share it with the staff member
+const supportStaffFields = {
+    fullName: { type: 'string', required: true, maxLength: 100 },
+    supportCode: { type: 'string', minLength: 6, trim: false }
+};
+
+const supportStaffUpdateFields = {
+    fullName: { type: 'string', maxLength: 100 },
+    isActive: { type: 'boolean' }
+};
+
+app.post('/api/support-staff', authenticate, authorize('teacher'), requireFullTeacher, validateBody(supportStaffFields), async (req, res) => {
+    try {
+        const { fullName } = req.body;
+        const supportCode = req.body.supportCode || generateSupportCode();
+        const newMember = new SupportStaff({
+            fullName,
+            supportCode: await bcrypt.hash(supportCode, 10),
+            password: await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10), // Unused; support staff sign in with their code
+            type: 'support'
+        });
+        await mongoose.connection.transaction(async (session) => {
+            await newMember.save({ session });
+            await logSupportActivity(req.user, 'created_support_staff', { supportStaffId: newMember._id, supportStaffName: fullName }, session);
+        });
+        res.status(201).json({ message: 'Support staff created successfully', supportStaff: supportStaffProfile(newMember), supportCode });
+    } catch (error) {
+        sendError(res, error, 'Error creating support staff:', 'Error creating support staff.');
+    }
+});
+
+app.put('/api/support-staff/:id', authenticate, authorize('teacher'), requireFullTeacher, validateBody(supportStaffUpdateFields, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fullName, isActive } = req.body;
+        const member = await mongoose.connection.transaction(async (session) => {
+            const existing = await SupportStaff.findById(id).session(session);
+            if (!existing) {
+                throw new HttpError(404, 'Support staff not found.');
+            }
+
+            if (fullName !== undefined) existing.fullName = fullName;
+            if (isActive !== undefined) {
+                existing.isActive = isActive;
+                if (!isActive) {
+                    existing.tokenVersion += 1; // Deactivation ends every session
+                    existing.isOnline = false;
+                    existing.lastLogout = new Date();
+                }
+            }
+            await existing.save({ session });
+            await logSupportActivity(req.user, 'updated_support_staff', { supportStaffId: existing._id, supportStaffName: existing.fullName, changes: { ...(fullName !== undefined && { fullName }), ...(isActive !== undefined && { isActive }) } }, session);
+            return existing;
+        });
+        res.status(200).json({ message: 'Support staff updated successfully', supportStaff: supportStaffProfile(member) });
+    } catch (error) {
+        sendError(res, error, 'Error updating support staff:', 'Error updating support staff.');
+    }
+});
+
+app.post('/api/support-staff/:id/rotate-code', authenticate, authorize('teacher'), requireFullTeacher, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const supportCode = generateSupportCode();
+        const hashedCode = await bcrypt.hash(supportCode, 10);
+        const member = await mongoose.connection.transaction(async (session) => {
+            const existing = await SupportStaff.findById(id).session(session);
+            if (!existing) {
+                throw new HttpError(404, 'Support staff not found.');
+            }
+            existing.supportCode = hashedCode;
+            existing.tokenVersion += 1; // The old code's sessions end with it
+            existing.isOnline = false;
+            await existing.save({ session });
+            await logSupportActivity(req.user, 'rotated_support_code', { supportStaffId: existing._id, supportStaffName: existing.fullName }, session);
+            return existing;
+        });
+        res.status(200).json({ message: 'Support code rotated successfully', supportStaff: supportStaffProfile(member), supportCode });
+    } catch (error) {
+        sendError(res, error, 'Error rotating support code:', 'Error rotating support code.');
+    }
+});
+
+app.delete('/api/support-staff/:id', authenticate, authorize('teacher'), requireFullTeacher, async (req, res) => {
+    try {
+        const { id } = req.params;
+        await mongoose.connection.transaction(async (session) => {
+            const deletedMember = await SupportStaff.findByIdAndDelete(id, { session });
+            if (!deletedMember) {
+                throw new HttpError(404, 'Support staff not found.');
+            }
+            await logSupportActivity(req.user, 'deleted_support_staff', { supportStaffId: deletedMember._id, supportStaffName: deletedMember.fullName }, session);
+        });
+        res.status(204).send(); // Activity log entries are kept for the audit trail
+    } catch (error) {
+        sendError(res, error, 'Error deleting support staff:', 'Error deleting support staff.');
+    }
+});
+
+// Activity log, newest first. Filters: ?supportId=, ?action=, ?from= and ?to= (default the last 30 days);
+// sort on timestamp. ?format=csv exports every match
+const ACTIVITY_LOG_CSV_LIMIT = 10000;
+
+app.get('/api/support-activity', authenticate, authorize('teacher'), requireFullTeacher, async (req, res) => {
+    try {
+        const { supportId, action, format } = req.query;
+        const options = parseListOptions(req.query, { sortable: ['timestamp'], defaultSort: '-timestamp' });
+        const { from, to } = parseDateRange(req.query);
+        const filter = { timestamp: { $gte: from, $lte: to } };
+        if (supportId) filter.supportId = supportId;
+        if (action) filter.action = String(action);
+
+        if (format === 'csv') {
+            const logs = await SupportActivityLog.find(filter).sort(options.sort).limit(ACTIVITY_LOG_CSV_LIMIT);
+            const csv = toCsv([
+                { header: 'timestamp', value: log => log.timestamp.toISOString() },
+                { header: 'staffId', value: log => log.supportId },
+                { header: 'staffName', value: log => log.supportName },
+                { header: 'actorType', value: log => log.actorType },
+                { header: 'action', value: log => log.action },
+                { header: 'details', value: log => (log.details ? JSON.stringify(log.details) : '') }
+            ], logs);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="support-activity.csv"');
+            return res.status(200).send(csv);
+        }
+
+        res.status(200).json(await paginate(SupportActivityLog, filter, options));
+    } catch (error) {
+        sendError(res, error, 'Error fetching support activity log:', 'Error fetching activity log from database.');
+    }
+});
+
+
+// Account Lockout Endpoints
+
+// Lockout audit log, filterable by ?scope=, ?identifier=, ?from= and ?to=
+app.get('/api/security/lockouts', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['timestamp'], defaultSort: '-timestamp' });
+        const { scope, identifier, from, to } = req.query;
+        const filter = {};
+        if (scope) filter.scope = scope;
+        if (identifier) filter.identifier = identifier;
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = new Date(from);
+            if (to) filter.timestamp.$lte = new Date(to);
+        }
+        res.status(200).json(await paginate(LockoutLog, filter, options));
+    } catch (error) {
+        sendError(res, error, 'Error fetching lockout log:', 'Error fetching lockout log from database.');
+    }
+});
+
+const unlockFields = {
+    scope: { type: 'string', required: true, maxLength: 50 },
+    identifier: { type: 'string', required: true, maxLength: 100 }
+};
+
+// Clear an account's failures and any active lockout, e.g. once staff have verified the user
+app.post('/api/security/lockouts/unlock', authenticate, authorize('teacher'), validateBody(unlockFields), async (req, res) => {
+    try {
+        const { scope, identifier } = req.body;
+        await clearLockout(lockoutKey(scope, identifier));
+        await logSupportActivity(req.user, 'cleared_lockout', { scope, identifier });
+        res.status(200).json({ message: 'Account unlocked successfully' });
+    } catch (error) {
+        sendError(res, error, 'Error clearing lockout:', 'Error clearing lockout.');
+    }
+});
+
+
+// Moderation Endpoints
+app.get('/api/students/banned', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        await Student.updateMany({ isBanned: true, banExpiresAt: { $lte: new Date() } }, BAN_FIELDS_CLEARED); // Lift expired bans first
+
+        const students = await Student.find({ isBanned: true }, { password: 0, passwordResetCode: 0 })
+            .populate('bannedBy', 'fullName type')
+            .sort({ bannedAt: -1 });
+        res.status(200).json(students.map(student => ({
+            id: student._id,
+            fullName: student.fullName,
+            studentNumber: student.studentNumber,
+            gradeLevel: student.gradeLevel,
+            banReason: student.banReason,
+            bannedAt: student.bannedAt,
+            banExpiresAt: student.banExpiresAt,
+            bannedBy: student.bannedBy,
+            bannedByType: student.bannedByType
+        })));
+    } catch (error) {
+        sendError(res, error, 'Error fetching banned students:', 'Error fetching banned students from database.');
+    }
+});
+
+// Ban a student, optionally for durationDays; their tokens are revoked so every session ends at once
+const banFields = {
+    reason: { type: 'string', required: true, maxLength: 500 },
+    durationDays: { type: 'integer', min: 1 } // Omit for a permanent ban
+};
+
+app.post('/api/students/:id/ban', authenticate, authorize('teacher', 'support'), validateBody(banFields), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason, durationDays } = req.body;
+
+        const staff = req.user;
+        const now = new Date();
+        const banExpiresAt = durationDays ? new Date(now.getTime() + durationDays * DAY_MS) : undefined;
+
+        const student = await mongoose.connection.transaction(async (session) => {
+            const banned = await Student.findByIdAndUpdate(id, {
+                isBanned: true,
+                banReason: reason,
+                bannedAt: now,
+                bannedBy: staff._id,
+                bannedByType: staff.type === 'teacher' ? 'Teacher' : 'SupportStaff',
+                ...(banExpiresAt ? { banExpiresAt } : { $unset: { banExpiresAt: 1 } }),
+                $inc: { tokenVersion: 1 }
+            }, { new: true, session });
+            if (!banned) {
+                throw new HttpError(404, 'Student not found.');
+            }
+            await logSupportActivity(staff, 'banned_student', { studentId: banned._id, studentName: banned.fullName, reason, banExpiresAt }, session);
+            return banned;
+        });
+
+        res.status(200).json({ message: 'Student banned successfully', studentId: student._id, banExpiresAt: student.banExpiresAt });
+    } catch (error) {
+        sendError(res, error, 'Error banning student:', 'Error banning student.');
+    }
+});
+
+app.post('/api/students/:id/unban', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const staff = req.user;
+
+        const student = await mongoose.connection.transaction(async (session) => {
+            const unbanned = await Student.findOneAndUpdate({ _id: id, isBanned: true }, BAN_FIELDS_CLEARED, { new: true, session });
+            if (!unbanned) {
+                throw new HttpError(404, 'Banned student not found.');
+            }
+            await logSupportActivity(staff, 'unbanned_student', { studentId: unbanned._id, studentName: unbanned.fullName }, session);
+            await notifyStudent(unbanned._id, {
+                type: 'system',
+                title: 'Account restored',
+                message: 'Your account ban has been lifted.'
+            }, session);
+            return unbanned;
+        });
+
+        res.status(200).json({ message: 'Student unbanned successfully', studentId: student._id });
+    } catch (error) {
+        sendError(res, error, 'Error unbanning student:', 'Error unbanning student.');
+    }
+});
+
+// Lessons Endpoints
+const lessonFields = {
+    title: { type: 'string', required: true, maxLength: 200 },
+    price: { type: 'number', required: true, min: 0 },
+    description: { type: 'string', required: true },
+    grade: { type: 'string', required: true, enum: GRADES },
+    coverImage: { type: 'string', nullable: true },
+    videoFile: { type: 'string', nullable: true },
+    pdfFile: { type: 'string', nullable: true },
+    homeworkFile: { type: 'string', nullable: true },
+    solutionFile: { type: 'string', nullable: true },
+    homeworkSolutionVideo: { type: 'string', nullable: true },
+    homeworkDeadline: { type: 'date', nullable: true },
+    homeworkMaxMark: { type: 'number', min: 1 },
+    examQuestions: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                question: { type: 'string', required: true },
+                choices: { type: 'array', required: true, items: { type: 'string', required: true } },
+                correctAnswer: { type: 'integer', required: true, min: 0 }
+            }
+        }
+    },
+    passThreshold: { type: 'number', min: 0, max: 100, nullable: true },
+    maxExamAttempts: { type: 'integer', min: 0, nullable: true },
+    isActive: { type: 'boolean' }
+};
+
+app.post('/api/lessons', authenticate, authorize('teacher'), validateBody(lessonFields), async (req, res) => {
+    try {
+        const lessonData = req.body;
+        const newLesson = new Lesson(lessonData);
+        await newLesson.save();
+        res.status(201).json({ message: 'Lesson saved successfully', lesson: newLesson });
+    } catch (error) {
+        sendError(res, error, 'Error saving lesson:', 'Error saving lesson to database.');
+    }
+});
+
+// Filters: ?grade=, ?isActive= (staff only), ?minPrice=, ?maxPrice=, ?q=; sort on createdAt, price or title
+app.get('/api/lessons', authenticate, async (req, res) => {
+    try {
+        const isStudent = req.user.type === 'student';
+        const options = parseListOptions(req.query, { sortable: ['createdAt', 'price', 'title'], defaultSort: '-createdAt' });
+        const filter = {};
+        addEnumFilter(filter, req.query, 'grade', GRADES);
+        addPriceRangeFilter(filter, req.query);
+        addTextSearch(filter, req.query);
+        if (isStudent) {
+            filter.isActive = true;
+            filter.$and = [studentGradeFilter(req.user)]; // Keeps the student's grade limit alongside any ?grade=
+        } else {
+            addBooleanFilter(filter, req.query, 'isActive');
+        }
+
+        const result = await paginate(Lesson, filter, options);
+        if (isStudent) {
+            const [owned, submitted] = await Promise.all([getOwnedLessonIds(req.user._id), getSubmittedLessonIds(req.user._id)]);
+            result.items = result.items.map(lesson => lessonForStudent(lesson, owned.has(lesson._id.toString()), submitted.has(lesson._id.toString())));
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching lessons:', 'Error fetching lessons from database.');
+    }
+});
+
+app.get('/api/lessons/:id', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (req.user.type !== 'student') {
+            const lesson = await Lesson.findById(id);
+            if (!lesson) {
+                return res.status(404).json({ message: 'Lesson not found.' });
+            }
+            return res.status(200).json(lesson);
+        }
+
+        const lesson = await Lesson.findOne({ _id: id, isActive: true, ...studentGradeFilter(req.user) });
+        if (!lesson) {
+            return res.status(404).json({ message: 'Lesson not found.' });
+        }
+        const [isOwned, hasSubmitted] = await Promise.all([
+            ownsLesson(req.user._id, lesson._id),
+            HomeworkSubmission.exists({ studentId: req.user._id, lessonId: lesson._id })
+        ]);
+        res.status(200).json(lessonForStudent(lesson, isOwned, !!hasSubmitted));
+    } catch (error) {
+        sendError(res, error, 'Error fetching lesson:', 'Error fetching lesson from database.');
+    }
+});
+
+app.put('/api/lessons/:id', authenticate, authorize('teacher'), validateBody(lessonFields, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updatedLesson = await Lesson.findByIdAndUpdate(id, { ...req.body, updatedAt: new Date() }, { new: true, runValidators: true });
+        if (!updatedLesson) {
+            return res.status(404).json({ message: 'Lesson not found.' });
+        }
+        res.status(200).json({ message: 'Lesson updated successfully', lesson: updatedLesson });
+    } catch (error) {
+        sendError(res, error, 'Error updating lesson:', 'Error updating lesson in database.');
+    }
+});
+
+app.delete('/api/lessons/:id', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedLesson = await Lesson.findByIdAndDelete(id);
+        if (!deletedLesson) {
+            return res.status(404).json({ message: 'Lesson not found.' });
+        }
+        res.status(204).send(); // No content
+    } catch (error) {
+        sendError(res, error, 'Error deleting lesson:', 'Error deleting lesson from database.');
+    }
+});
+
+// Subscriptions Endpoints
+const subscriptionFields = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', required: true },
+    price: { type: 'number', required: true, min: 0 },
+    image: { type: 'string', nullable: true },
+    duration: { type: 'integer', required: true, min: 1 }, // in days
+    includedLessons: { type: 'array', items: { type: 'objectId' } },
+    isActive: { type: 'boolean' }
+};
+
+app.post('/api/subscriptions', authenticate, authorize('teacher'), validateBody(subscriptionFields), async (req, res) => {
+    try {
+        const subscriptionData = req.body;
+        const newSubscription = new Subscription(subscriptionData);
+        await newSubscription.save();
+        res.status(201).json({ message: 'Subscription created successfully', subscription: newSubscription });
+    } catch (error) {
+        sendError(res, error, 'Error creating subscription:', 'Error creating subscription in database.');
+    }
+});
+
+// Filters: ?isActive= (staff only), ?minPrice=, ?maxPrice=, ?q=; sort on createdAt, price, name or duration
+app.get('/api/subscriptions', authenticate, async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['createdAt', 'price', 'name', 'duration'], defaultSort: '-createdAt' });
+        const filter = {};
+        addPriceRangeFilter(filter, req.query);
+        addTextSearch(filter, req.query);
+        if (req.user.type === 'student') {
+            filter.isActive = true;
+        } else {
+            addBooleanFilter(filter, req.query, 'isActive');
+        }
+
+        res.status(200).json(await paginate(Subscription, filter, options));
+    } catch (error) {
+        sendError(res, error, 'Error fetching subscriptions:', 'Error fetching subscriptions from database.');
+    }
+});
+
+app.put('/api/subscriptions/:id', authenticate, authorize('teacher'), validateBody(subscriptionFields, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updatedSubscription = await Subscription.findByIdAndUpdate(id, req.body, { new: true, runValidators: true });
+        if (!updatedSubscription) {
+            return res.status(404).json({ message: 'Subscription not found.' });
+        }
+        res.status(200).json({ message: 'Subscription updated successfully', subscription: updatedSubscription });
+    } catch (error) {
+        sendError(res, error, 'Error updating subscription:', 'Error updating subscription in database.');
+    }
+});
+
+app.delete('/api/subscriptions/:id', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedSubscription = await Subscription.findByIdAndDelete(id);
+        if (!deletedSubscription) {
+            return res.status(404).json({ message: 'Subscription not found.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        sendError(res, error, 'Error deleting subscription:', 'Error deleting subscription from database.');
+    }
+});
+
+
+// General Messages Endpoints
+const generalMessageFields = {
+    target: { type: 'string', required: true, enum: ['all', 'first', 'second', 'third'] },
+    title: { type: 'string', required: true, maxLength: 200 },
+    content: { type: 'string', required: true },
+    duration: { type: 'integer', required: true, min: 1 }, // in days
+    priority: { type: 'string', enum: ['normal', 'high', 'urgent'] }
+};
+
+app.post('/api/general-messages', authenticate, authorize('teacher'), validateBody(generalMessageFields), async (req, res) => {
+    try {
+        const messageData = { ...req.body, teacherId: req.user._id }; // Sender is always the logged-in teacher
+        const newGeneralMessage = new GeneralMessage(messageData);
+        await newGeneralMessage.save();
+        res.status(201).json({ message: 'General message sent successfully', generalMessage: newGeneralMessage });
+    } catch (error) {
+        sendError(res, error, 'Error sending general message:', 'Error sending general message to database.');
+    }
+});
+
+// Sort order for the student feed: urgent first, then high, then normal
+const MESSAGE_PRIORITY_ORDER = ['urgent', 'high', 'normal'];
+
+// Staff filters: ?target=, ?priority=, ?q=; sort on createdAt or title. Students get their fixed feed.
+app.get('/api/general-messages', authenticate, async (req, res) => {
+    try {
+        if (req.user.type !== 'student') {
+            const options = parseListOptions(req.query, { sortable: ['createdAt', 'title'], defaultSort: '-createdAt' });
+            const filter = {};
+            addEnumFilter(filter, req.query, 'target', ['all', 'first', 'second', 'third']);
+            addEnumFilter(filter, req.query, 'priority', MESSAGE_PRIORITY_ORDER);
+            addTextSearch(filter, req.query);
+            return res.status(200).json(await paginate(GeneralMessage, filter, options));
+        }
+
+        // Students only see unexpired messages for their grade (createdAt + duration days still in the future)
+        const { page, limit, skip } = parseListOptions(req.query, { sortable: ['createdAt'], defaultSort: '-createdAt' });
+        const { gradeLevel } = req.user;
+        const match = {
+            ...(gradeLevel === 'all' ? {} : { target: { $in: ['all', gradeLevel] } }),
+            $expr: { $gt: [{ $add: ['$createdAt', { $multiply: ['$duration', DAY_MS] }] }, new Date()] }
+        };
+        addTextSearch(match, req.query);
+
+        const [{ items, total }] = await GeneralMessage.aggregate([
+            { $match: match },
+            { $addFields: { priorityRank: { $indexOfArray: [MESSAGE_PRIORITY_ORDER, '$priority'] } } },
+            { $sort: { priorityRank: 1, createdAt: -1, _id: 1 } },
+            { $project: { teacherId: 0, priorityRank: 0 } },
+            { $facet: { items: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'count' }] } },
+            { $project: { items: 1, total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] } } }
+        ]);
+        res.status(200).json({ items, total, page, limit, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+        sendError(res, error, 'Error fetching general messages:', 'Error fetching general messages from database.');
+    }
+});
+
+app.delete('/api/general-messages/:id', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedMessage = await GeneralMessage.findByIdAndDelete(id);
+        if (!deletedMessage) {
+            return res.status(404).json({ message: 'General message not found.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        sendError(res, error, 'Error deleting general message:', 'Error deleting general message from database.');
+    }
+});
+
+// Books Endpoints
+const bookFields = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', required: true },
+    price: { type: 'number', required: true, min: 0 },
+    grade: { type: 'string', required: true, enum: GRADES },
+    imageKey: { type: 'string', nullable: true },
+    availability: { type: 'string', enum: ['available', 'limited', 'unavailable'] }
+};
+
+app.post('/api/books', authenticate, authorize('teacher'), validateBody(bookFields), async (req, res) => {
+    try {
+        const bookData = req.body;
+        const newBook = new Book(bookData);
+        await newBook.save();
+        res.status(201).json({ message: 'Book added successfully', book: newBook });
+    } catch (error) {
+        sendError(res, error, 'Error adding book:', 'Error adding book to database.');
+    }
+});
+
+// Filters: ?grade=, ?availability=, ?minPrice=, ?maxPrice=, ?q=; sort on createdAt, price or name
+app.get('/api/books', authenticate, async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['createdAt', 'price', 'name'], defaultSort: '-createdAt' });
+        const filter = {};
+        addEnumFilter(filter, req.query, 'grade', GRADES);
+        addEnumFilter(filter, req.query, 'availability', ['available', 'limited', 'unavailable']);
+        addPriceRangeFilter(filter, req.query);
+        addTextSearch(filter, req.query);
+
+        res.status(200).json(await paginate(Book, filter, options));
+    } catch (error) {
+        sendError(res, error, 'Error fetching books:', 'Error fetching books from database.');
+    }
+});
+
+app.put('/api/books/:id', authenticate, authorize('teacher'), validateBody(bookFields, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updatedBook = await Book.findByIdAndUpdate(id, req.body, { new: true, runValidators: true });
+        if (!updatedBook) {
+            return res.status(404).json({ message: 'Book not found.' });
+        }
+        res.status(200).json({ message: 'Book updated successfully', book: updatedBook });
+    } catch (error) {
+        sendError(res, error, 'Error updating book:', 'Error updating book in database.');
+    }
+});
+
+app.delete('/api/books/:id', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedBook = await Book.findByIdAndDelete(id);
+        if (!deletedBook) {
+            return res.status(404).json({ message: 'Book not found.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        sendError(res, error, 'Error deleting book:', 'Error deleting book from database.');
+    }
+});
+
+// Payment Methods Endpoints
+const paymentMethodFields = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    number: { type: 'string', required: true, maxLength: 50 },
+    password: { type: 'string', required: true, minLength: 4, trim: false }
+};
+
+app.post('/api/payment-methods', authenticate, authorize('teacher'), validateBody(paymentMethodFields), async (req, res) => {
+    try {
+        const { name, number, password } = req.body;
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const newMethod = new PaymentMethod({ name, number, password: hashedPassword });
+        await newMethod.save();
+        res.status(201).json({ message: 'Payment method added successfully', method: newMethod });
+    } catch (error) {
+        sendError(res, error, 'Error adding payment method:', 'Error adding payment method to database.');
+    }
+});
+
+app.get('/api/payment-methods', authenticate, async (req, res) => {
+    try {
+        const methods = await PaymentMethod.find({}, { password: 0 }); // Don't return hashed password
+        res.status(200).json(methods);
+    } catch (error) {
+        sendError(res, error, 'Error fetching payment methods:', 'Error fetching payment methods from database.');
+    }
+});
+
+// The control password is guarded per teacher account, so it cannot be guessed by retrying
+app.delete('/api/payment-methods/:id', authenticate, authorize('teacher'), validateBody({ password: { type: 'string', required: true, trim: false } }), guardAccount('payment-method-delete', req => req.user._id), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { password } = req.body; // Password for deletion authorization
+
+        const method = await PaymentMethod.findById(id);
+        if (!method) {
+            return res.status(404).json({ message: 'Payment method not found.' });
+        }
+
+        const isMatch = await bcrypt.compare(password, method.password);
+        if (!isMatch) {
+            await req.lockout.fail();
+            return res.status(401).json({ message: 'Incorrect control password.' });
+        }
+        await req.lockout.succeed();
+
+        await PaymentMethod.findByIdAndDelete(id);
+        res.status(204).send();
+    } catch (error) {
+        sendError(res, error, 'Error deleting payment method:', 'Error deleting payment method from database.');
+    }
+});
+
+
+// Wallet Top-up (Transfer Request) Endpoints
+const transferRequestFields = {
+    amount: { type: 'number', required: true, min: 1 },
+    paymentMethodId: { type: 'objectId', required: true },
+    transactionNumber: { type: 'string', required: true, maxLength: 100 },
+    transferTime: { type: 'date', required: true },
+    message: { type: 'string', maxLength: 1000 },
+    receiptImageKey: { type: 'string' }
+};
+
+app.post('/api/transfer-requests', authenticate, authorize('student'), validateBody(transferRequestFields), async (req, res) => {
+    try {
+        const { amount, paymentMethodId, transactionNumber, transferTime, message, receiptImageKey } = req.body;
+
+        const method = await PaymentMethod.findById(paymentMethodId);
+        if (!method) {
+            return res.status(404).json({ message: 'Payment method not found.' });
+        }
+
+        const duplicate = await TransferRequest.exists({ paymentMethodId, transactionNumber });
+        if (duplicate) {
+            return res.status(409).json({ message: 'This transaction number has already been submitted for this payment method.' });
+        }
+
+        const newRequest = new TransferRequest({
+            studentId: req.user._id,
+            studentName: req.user.fullName,
+            amount,
+            paymentMethodId,
+            transactionNumber,
+            transferTime,
+            message,
+            receiptImageKey
+        });
+        await newRequest.save();
+        res.status(201).json({ message: 'Top-up request submitted successfully', transferRequest: newRequest });
+    } catch (error) {
+        if (error.code === 11000) { // Lost a race against an identical submission
+            return res.status(409).json({ message: 'This transaction number has already been submitted for this payment method.' });
+        }
+        sendError(res, error, 'Error submitting transfer request:', 'Error submitting top-up request.');
+    }
+});
+
+app.get('/api/transfer-requests/mine', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const requests = await TransferRequest.find({ studentId: req.user._id }).sort({ timestamp: -1 });
+        res.status(200).json(requests);
+    } catch (error) {
+        sendError(res, error, 'Error fetching student transfer requests:', 'Error fetching top-up requests from database.');
+    }
+});
+
+// Review queue, oldest first so it is worked in order. Filters: ?status= (default pending, or all); sort on timestamp
+app.get('/api/transfer-requests', authenticate, authorize('support'), async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['timestamp'], defaultSort: 'timestamp' });
+        const filter = {};
+        addEnumFilter(filter, { status: 'pending', ...req.query }, 'status', ['pending', 'confirmed', 'rejected', 'all']);
+        if (filter.status === 'all') delete filter.status;
+        const result = await paginate(TransferRequest, filter, options);
+        await TransferRequest.populate(result.items, { path: 'paymentMethodId', select: 'name number' });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching transfer requests:', 'Error fetching top-up requests from database.');
+    }
+});
+
+// Confirm or reject a pending top-up; the status change, balance credit, log and notification commit together
+const decideTransferRequest = (decision) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+        const support = req.user;
+
+        const transferRequest = await mongoose.connection.transaction(async (session) => {
+            const updated = await TransferRequest.findOneAndUpdate(
+                { _id: id, status: 'pending' },
+                { status: decision, confirmedBy: support._id, confirmationDate: new Date() },
+                { new: true, session }
+            );
+            if (!updated) {
+                return null;
+            }
+
+            if (decision === 'confirmed') {
+                await postWalletEntry({
+                    studentId: updated.studentId,
+                    amount: updated.amount,
+                    type: 'top_up',
+                    source: { type: 'TransferRequest', id: updated._id },
+                    actor: support,
+                    note: `Transfer ${updated.transactionNumber}`
+                }, session);
+            }
+
+            await logSupportActivity(support, decision === 'confirmed' ? 'confirmed_payment' : 'rejected_payment', {
+                transferRequestId: updated._id,
+                studentId: updated.studentId,
+                amount: updated.amount,
+                transactionNumber: updated.transactionNumber,
+                reason
+            }, session);
+
+            await notifyStudent(updated.studentId, decision === 'confirmed' ? {
+                type: 'payment',
+                title: 'Top-up confirmed',
+                message: `Your top-up of ${updated.amount} has been added to your balance.`,
+                relatedId: updated._id
+            } : {
+                type: 'payment',
+                title: 'Top-up rejected',
+                message: reason ? `Your top-up of ${updated.amount} was rejected: ${reason}` : `Your top-up of ${updated.amount} was rejected.`,
+                relatedId: updated._id,
+                canReply: true
+            }, session);
+
+            return updated;
+        });
+
+        if (!transferRequest) {
+            const exists = await TransferRequest.exists({ _id: id });
+            return exists
+                ? res.status(409).json({ message: 'Top-up request has already been processed.' })
+                : res.status(404).json({ message: 'Top-up request not found.' });
+        }
+        res.status(200).json({ message: `Top-up request ${decision} successfully`, transferRequest });
+    } catch (error) {
+        sendError(res, error, `Error processing transfer request (${decision}):`, 'Error processing top-up request.');
+    }
+};
+
+const transferDecisionFields = { reason: { type: 'string', maxLength: 500 } };
+
+app.post('/api/transfer-requests/:id/confirm', authenticate, authorize('support'), validateBody(transferDecisionFields), decideTransferRequest('confirmed'));
+app.post('/api/transfer-requests/:id/reject', authenticate, authorize('support'), validateBody(transferDecisionFields), decideTransferRequest('rejected'));
+
+
+// Wallet Ledger Endpoints
+
+// Ledger entries in ?from=..?to= (default last 30 days), oldest first and paginated, with the
+// opening and closing balances and the period's credit and debit totals
+const buildWalletStatement = async (student, query) => {
+    const { from, to } = parseDateRange(query);
+    const options = parseListOptions(query, { sortable: ['timestamp'], defaultSort: 'timestamp' });
+    const inRange = { studentId: student._id, timestamp: { $gte: from, $lte: to } };
+
+    const [page, before, totals] = await Promise.all([
+        paginate(WalletEntry, inRange, options),
+        WalletEntry.findOne({ studentId: student._id, timestamp: { $lt: from } }).sort({ timestamp: -1, _id: -1 }),
+        WalletEntry.aggregate([
+            { $match: inRange },
+            {
+                $group: {
+                    _id: null,
+                    credits: { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } },
+                    debits: { $sum: { $cond: [{ $lt: ['$amount', 0] }, { $abs: '$amount' }, 0] } }
+                }
+            }
+        ])
+    ]);
+    const openingBalance = before ? before.balanceAfter : 0;
+    const { credits = 0, debits = 0 } = totals[0] || {};
+
+    return {
+        studentId: student._id,
+        fullName: student.fullName,
+        from,
+        to,
+        openingBalance,
+        credits: roundMoney(credits),
+        debits: roundMoney(debits),
+        closingBalance: roundMoney(openingBalance + credits - debits),
+        currentBalance: student.balance,
+        ...page
+    };
+};
+
+app.get('/api/wallet/statement', authenticate, authorize('student'), async (req, res) => {
+    try {
+        res.status(200).json(await buildWalletStatement(req.user, req.query));
+    } catch (error) {
+        sendError(res, error, 'Error building wallet statement:', 'Error building wallet statement.');
+    }
+});
+
+app.get('/api/students/:id/wallet/statement', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        const student = await Student.findById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+        res.status(200).json(await buildWalletStatement(student, req.query));
+    } catch (error) {
+        sendError(res, error, 'Error building wallet statement:', 'Error building wallet statement.');
+    }
+});
+
+const walletAdjustmentFields = {
+    amount: { type: 'number', required: true }, // Positive credits the wallet, negative debits it
+    reason: { type: 'string', required: true, maxLength: 500 }
+};
+
+// Manual correction by a full teacher; the entry, activity log and notification commit together
+app.post('/api/students/:id/wallet/adjustments', authenticate, authorize('teacher'), requireFullTeacher, validateBody(walletAdjustmentFields), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, reason } = req.body;
+        if (amount === 0) {
+            return res.status(400).json({ message: 'Adjustment amount cannot be zero.' });
+        }
+
+        const teacher = req.user;
+        const { student, entry } = await mongoose.connection.transaction(async (session) => {
+            const result = await postWalletEntry({ studentId: id, amount, type: 'adjustment', actor: teacher, note: reason }, session);
+            await logSupportActivity(teacher, 'adjusted_balance', { studentId: result.student._id, amount, reason, walletEntryId: result.entry._id }, session);
+            await notifyStudent(result.student._id, {
+                type: 'payment',
+                title: 'Balance adjusted',
+                message: `Your balance was ${amount > 0 ? 'credited' : 'debited'} ${Math.abs(amount)}: ${reason}`,
+                relatedId: result.entry._id
+            }, session);
+            return result;
+        });
+
+        res.status(201).json({ message: 'Balance adjusted successfully', entry, balance: student.balance });
+    } catch (error) {
+        sendError(res, error, 'Error adjusting balance:', 'Error adjusting balance.');
+    }
+});
+
+// Confirmed top-ups per payment method over ?from=..?to= (by confirmation date), checked against the
+// ledger: ledgerTotal should match confirmedTotal and missingLedgerEntries should be 0. Transfers
+// confirmed before the ledger existed are covered by opening balances, so they show as missing.
+app.get('/api/wallet/reconciliation', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { from, to } = parseDateRange(req.query);
+        const methods = await TransferRequest.aggregate([
+            { $match: { status: 'confirmed', confirmationDate: { $gte: from, $lte: to } } },
+            { $lookup: { from: WalletEntry.collection.name, localField: '_id', foreignField: 'sourceId', as: 'entries' } },
+            {
+                $group: {
+                    _id: '$paymentMethodId',
+                    transfers: { $sum: 1 },
+                    confirmedTotal: { $sum: '$amount' },
+                    ledgerTotal: { $sum: { $sum: '$entries.amount' } },
+                    missingLedgerEntries: { $sum: { $cond: [{ $eq: [{ $size: '$entries' }, 0] }, 1, 0] } }
+                }
+            },
+            { $lookup: { from: PaymentMethod.collection.name, localField: '_id', foreignField: '_id', as: 'method' } },
+            {
+                $project: {
+                    _id: 0,
+                    paymentMethodId: '$_id',
+                    name: { $arrayElemAt: ['$method.name', 0] },
+                    number: { $arrayElemAt: ['$method.number', 0] },
+                    transfers: 1,
+                    confirmedTotal: 1,
+                    ledgerTotal: 1,
+                    missingLedgerEntries: 1
+                }
+            },
+            { $sort: { confirmedTotal: -1 } }
+        ]);
+
+        const totals = methods.reduce((sum, method) => ({
+            transfers: sum.transfers + method.transfers,
+            confirmedTotal: roundMoney(sum.confirmedTotal + method.confirmedTotal),
+            ledgerTotal: roundMoney(sum.ledgerTotal + method.ledgerTotal),
+            missingLedgerEntries: sum.missingLedgerEntries + method.missingLedgerEntries
+        }), { transfers: 0, confirmedTotal: 0, ledgerTotal: 0, missingLedgerEntries: 0 });
+
+        res.status(200).json({ from, to, methods, totals });
+    } catch (error) {
+        sendError(res, error, 'Error building reconciliation report:', 'Error building reconciliation report.');
+    }
+});
+
+
+// Purchase Endpoints
+
+// Buy a lesson or subscription from the student's wallet balance; must run inside a transaction
+// autoRenew, when given, sets the subscription's auto-renew preference; actor is recorded on the
+// wallet entry and is left unset when the scheduler renews
+const purchaseItem = async (studentId, itemType, itemId, session, { couponCode, autoRenew, actor } = {}) => {
+    const owner = await Student.findById(studentId).session(session);
+    if (!owner) {
+        throw new HttpError(404, 'Student not found.');
+    }
+
+    // Lessons are only sold to students of the lesson's grade, the same rule the catalog applies
+    const item = itemType === 'Lesson'
+        ? await Lesson.findOne({ _id: itemId, isActive: true, ...studentGradeFilter(owner) }).session(session)
+        : await Subscription.findOne({ _id: itemId, isActive: true }).session(session);
+    if (!item) {
+        throw new HttpError(404, `${itemType} not found.`);
+    }
+
+    const existing = await PurchasedItem.findOne({ studentId, itemId: item._id }).session(session);
+    if (existing && itemType === 'Lesson') {
+        throw new HttpError(409, 'You already own this lesson.');
+    }
+
+    // Pre-allocate the record id so a coupon redemption can point at it
+    const purchaseId = existing ? existing._id : new mongoose.Types.ObjectId();
+    let price = item.price;
+    let coupon;
+    if (couponCode) {
+        ({ coupon, price } = await redeemCoupon(couponCode, owner, { itemType, itemId: item._id, price, referenceId: purchaseId }, session));
+    }
+
+    const label = itemType === 'Lesson' ? item.title : item.name;
+    const { student } = await postWalletEntry({
+        studentId,
+        amount: -price,
+        type: existing ? 'subscription_renewal' : 'purchase',
+        source: { type: 'PurchasedItem', id: purchaseId },
+        actor,
+        note: `${itemType}: ${label}`
+    }, session);
+
+    await awardPoints(studentId, itemType === 'Lesson' ? 'lesson_purchased' : 'subscription_purchased', `Purchased ${label}`, session);
+
+    const now = new Date();
+    if (existing) {
+        // Renewal: extend from the current expiry while still active, otherwise start again from now
+        const base = existing.expiryDate && existing.expiryDate > now ? existing.expiryDate : now;
+        existing.renewals.push({
+            renewedAt: now,
+            price,
+            originalPrice: coupon ? item.price : undefined,
+            couponId: coupon && coupon._id,
+            previousExpiry: existing.expiryDate
+        });
+        existing.expiryDate = new Date(base.getTime() + item.duration * DAY_MS);
+        existing.status = 'active';
+        if (autoRenew !== undefined) {
+            existing.autoRenew = autoRenew;
+        }
+        await existing.save({ session });
+        return { purchase: existing, renewed: true, balance: student.balance };
+    }
+
+    const [purchase] = await PurchasedItem.create([{
+        _id: purchaseId,
+        studentId,
+        itemId: item._id,
+        itemType,
+        price,
+        originalPrice: coupon ? item.price : undefined,
+        couponId: coupon && coupon._id,
+        purchaseDate: now,
+        expiryDate: itemType === 'Subscription' ? new Date(now.getTime() + item.duration * DAY_MS) : undefined,
+        autoRenew: itemType === 'Subscription' && Boolean(autoRenew)
+    }], { session });
+    return { purchase, renewed: false, balance: student.balance };
+};
+
+const purchaseFields = {
+    itemType: { type: 'string', required: true, enum: ['Lesson', 'Subscription'] },
+    itemId: { type: 'objectId', required: true },
+    couponCode: { type: 'string', maxLength: 50 },
+    autoRenew: { type: 'boolean' } // Subscriptions only
+};
+
+app.post('/api/purchases', authenticate, authorize('student'), validateBody(purchaseFields), async (req, res) => {
+    try {
+        const { itemType, itemId, couponCode, autoRenew } = req.body;
+
+        const result = await mongoose.connection.transaction(session => purchaseItem(req.user._id, itemType, itemId, session, { couponCode, autoRenew, actor: req.user }));
+        res.status(result.renewed ? 200 : 201).json({
+            message: result.renewed ? 'Subscription renewed successfully' : 'Purchase completed successfully',
+            purchase: result.purchase,
+            balance: result.balance
+        });
+    } catch (error) {
+        if (error.code === 11000) { // Concurrent purchase of the same item
+            return res.status(409).json({ message: 'You already own this item.' });
+        }
+        sendError(res, error, 'Error completing purchase:', 'Error completing purchase.');
+    }
+});
+
+app.get('/api/purchases/mine', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const purchases = await PurchasedItem.find({ studentId: req.user._id })
+            .populate('itemId', 'title name price duration grade')
+            .sort({ purchaseDate: -1 });
+        res.status(200).json(purchases);
+    } catch (error) {
+        sendError(res, error, 'Error fetching purchases:', 'Error fetching purchases from database.');
+    }
+});
+
+// Opt a subscription in or out of auto-renewal from the wallet balance
+app.put('/api/purchases/:id/auto-renew', authenticate, authorize('student'), validateBody({ autoRenew: { type: 'boolean', required: true } }), async (req, res) => {
+    try {
+        const update = { autoRenew: req.body.autoRenew };
+        const purchase = await PurchasedItem.findOneAndUpdate(
+            { _id: req.params.id, studentId: req.user._id, itemType: 'Subscription' },
+            req.body.autoRenew ? { ...update, $unset: { autoRenewFailedFor: 1 } } : update,
+            { new: true }
+        );
+        if (!purchase) {
+            return res.status(404).json({ message: 'Subscription not found.' });
+        }
+        res.status(200).json({ message: 'Auto-renewal updated successfully', purchase });
+    } catch (error) {
+        sendError(res, error, 'Error updating auto-renewal:', 'Error updating auto-renewal.');
+    }
+});
+
+
+// Coupon Endpoints
+
+// Filters: ?isActive=, ?source=; sort on createdAt, code, usedCount or endsAt
+app.get('/api/coupons', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['createdAt', 'code', 'usedCount', 'endsAt'], defaultSort: '-createdAt' });
+        const filter = {};
+        addBooleanFilter(filter, req.query, 'isActive');
+        addEnumFilter(filter, req.query, 'source', ['reward', 'promotion']);
+        res.status(200).json(await paginate(Coupon, filter, options));
+    } catch (error) {
+        sendError(res, error, 'Error fetching coupons:', 'Error fetching coupons from database.');
+    }
+});
+
+const couponFields = {
+    code: { type: 'string', required: true, minLength: 3, maxLength: 50 },
+    description: { type: 'string', maxLength: 500 },
+    discountType: { type: 'string', required: true, enum: ['percent', 'fixed'] },
+    discountValue: { type: 'number', required: true, min: 0 },
+    studentId: { type: 'objectId', nullable: true },
+    itemTypes: { type: 'array', maxItems: 3, items: { type: 'string', required: true, enum: ['Lesson', 'Subscription', 'Book'] } },
+    itemIds: { type: 'array', maxItems: 200, items: { type: 'objectId', required: true } },
+    gradeLevels: { type: 'array', maxItems: 4, items: { type: 'string', required: true, enum: GRADES } },
+    maxUses: { type: 'integer', min: 1, nullable: true },
+    maxUsesPerStudent: { type: 'integer', min: 1, nullable: true },
+    startsAt: { type: 'date', nullable: true },
+    endsAt: { type: 'date', nullable: true },
+    isActive: { type: 'boolean' }
+};
+
+// Rules the field map cannot express; returns an error message or undefined
+const couponRuleError = (coupon) => {
+    if (coupon.discountType === 'percent' && coupon.discountValue > 100) {
+        return 'A percent discount cannot exceed 100.';
+    }
+    if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+        return 'endsAt must be after startsAt.';
+    }
+    return undefined;
+};
+
+app.post('/api/coupons', authenticate, authorize('teacher'), validateBody(couponFields), async (req, res) => {
+    try {
+        const ruleError = couponRuleError(req.body);
+        if (ruleError) {
+            return res.status(400).json({ message: ruleError });
+        }
+        const newCoupon = new Coupon({ ...req.body, source: 'promotion', createdBy: req.user._id });
+        await newCoupon.save();
+        res.status(201).json({ message: 'Coupon created successfully', coupon: newCoupon });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A coupon with this code already exists.' });
+        }
+        sendError(res, error, 'Error creating coupon:', 'Error creating coupon in database.');
+    }
+});
+
+// Loaded and saved (rather than updated in place) so the cross-field rules see the merged result
+app.put('/api/coupons/:id', authenticate, authorize('teacher'), validateBody(couponFields, { partial: true }), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found.' });
+        }
+        coupon.set(req.body);
+        const ruleError = couponRuleError(coupon);
+        if (ruleError) {
+            return res.status(400).json({ message: ruleError });
+        }
+        await coupon.save();
+        res.status(200).json({ message: 'Coupon updated successfully', coupon });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A coupon with this code already exists.' });
+        }
+        sendError(res, error, 'Error updating coupon:', 'Error updating coupon in database.');
+    }
+});
+
+// Used coupons are referenced by purchases and orders, so they can only be deactivated
+app.delete('/api/coupons/:id', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedCoupon = await Coupon.findOneAndDelete({ _id: id, usedCount: 0 });
+        if (!deletedCoupon) {
+            const exists = await Coupon.exists({ _id: id });
+            return exists
+                ? res.status(409).json({ message: 'This coupon has been used; deactivate it instead.' })
+                : res.status(404).json({ message: 'Coupon not found.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        sendError(res, error, 'Error deleting coupon:', 'Error deleting coupon from database.');
+    }
+});
+
+app.get('/api/coupons/:id/redemptions', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['timestamp'], defaultSort: '-timestamp' });
+        const result = await paginate(CouponRedemption, { couponId: req.params.id }, options);
+        await CouponRedemption.populate(result.items, { path: 'studentId', select: 'fullName studentNumber gradeLevel', model: User });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching coupon redemptions:', 'Error fetching coupon redemptions from database.');
+    }
+});
+
+const couponCheckFields = {
+    code: { type: 'string', required: true, maxLength: 50 },
+    itemType: { type: 'string', required: true, enum: ['Lesson', 'Subscription', 'Book'] },
+    itemId: { type: 'objectId', required: true }
+};
+
+// Preview a coupon before checkout; nothing is consumed until the purchase or order goes through
+app.post('/api/coupons/check', authenticate, authorize('student'), validateBody(couponCheckFields), async (req, res) => {
+    try {
+        const { code, itemType, itemId } = req.body;
+        const Model = { Lesson, Subscription, Book }[itemType];
+        const item = await Model.findOne(itemType === 'Book' ? { _id: itemId } : { _id: itemId, isActive: true });
+        if (!item) {
+            return res.status(404).json({ message: `${itemType} not found.` });
+        }
+        const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+        await assertCouponApplies(coupon, req.user, itemType, item._id);
+        res.status(200).json({
+            code: coupon.code,
+            discountType: coupon.discountType,
+            discountValue: coupon.discountValue,
+            originalPrice: item.price,
+            price: applyDiscount(item.price, coupon.discountType, coupon.discountValue)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error checking coupon:', 'Error checking coupon.');
+    }
+});
+
+
+// Exam Endpoints
+// Unanswered questions may be sent as null
+const examSubmissionFields = {
+    answers: { type: 'array', required: true, maxItems: 500, items: { type: 'integer', min: 0, nullable: true } }
+};
+
+app.post('/api/lessons/:id/exam', authenticate, authorize('student'), validateBody(examSubmissionFields), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { answers } = req.body;
+
+        const student = req.user;
+        const lesson = await Lesson.findOne({ _id: id, isActive: true, ...studentGradeFilter(student) });
+        if (!lesson) {
+            return res.status(404).json({ message: 'Lesson not found.' });
+        }
+        if (lesson.examQuestions.length === 0) {
+            return res.status(400).json({ message: 'This lesson has no exam.' });
+        }
+        if (!(await ownsLesson(student._id, lesson._id))) {
+            return res.status(403).json({ message: 'You must own this lesson to take its exam.' });
+        }
+
+        const maxAttempts = lesson.maxExamAttempts ?? EXAM_MAX_ATTEMPTS;
+        const totalQuestions = lesson.examQuestions.length;
+        const submitted = lesson.examQuestions.map((q, i) => (Number.isInteger(answers[i]) ? answers[i] : null));
+        const correctAnswers = lesson.examQuestions.filter((q, i) => submitted[i] === q.correctAnswer).length;
+        const score = Math.round((correctAnswers / totalQuestions) * 100);
+        const threshold = lesson.passThreshold ?? EXAM_PASS_THRESHOLD;
+        const key = { studentId: student._id, lessonId: lesson._id };
+
+        const { result, attemptsUsed, pointsAwarded } = await mongoose.connection.transaction(async (session) => {
+            // Counters for exams taken before they existed start from the recorded results
+            if (!(await ExamAttemptCounter.exists(key).session(session))) {
+                const attempts = await ExamResult.countDocuments(key).session(session);
+                const passed = await ExamResult.exists({ ...key, passed: true }).session(session);
+                await ExamAttemptCounter.create([{ ...key, attempts, passed: Boolean(passed) }], { session });
+            }
+
+            const counter = await ExamAttemptCounter.findOneAndUpdate(
+                maxAttempts > 0 ? { ...key, attempts: { $lt: maxAttempts } } : key,
+                { $inc: { attempts: 1 } },
+                { new: true, session }
+            );
+            if (!counter) {
+                throw new HttpError(409, 'You have used all attempts for this exam.');
+            }
+
+            const result = new ExamResult({
+                studentId: student._id,
+                studentName: student.fullName,
+                lessonId: lesson._id,
+                lessonTitle: lesson.title,
+                score,
+                correctAnswers,
+                totalQuestions,
+                answers: submitted,
+                passed: score >= threshold
+            });
+            await result.save({ session });
+
+            // Only the first pass of a lesson earns points, so retakes cannot be farmed
+            let pointsAwarded = 0;
+            if (result.passed) {
+                const firstPass = await ExamAttemptCounter.updateOne({ ...key, passed: false }, { passed: true }, { session });
+                if (firstPass.modifiedCount === 1) {
+                    pointsAwarded = await awardPoints(student._id, 'exam_passed', `Passed exam: ${lesson.title}`, session);
+                }
+            }
+            return { result, attemptsUsed: counter.attempts, pointsAwarded };
+        });
+
+        res.status(201).json({
+            message: 'Exam submitted successfully',
+            result,
+            pointsAwarded,
+            attemptsRemaining: maxAttempts > 0 ? maxAttempts - attemptsUsed : null
+        });
+    } catch (error) {
+        if (error.code === 11000) { // Concurrent first attempts
+            return res.status(409).json({ message: 'Another attempt was submitted at the same time; please try again.' });
+        }
+        sendError(res, error, 'Error grading exam:', 'Error submitting exam.');
+    }
+});
+
+app.get('/api/exam-results/mine', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const filter = { studentId: req.user._id };
+        if (req.query.lessonId) filter.lessonId = req.query.lessonId;
+        const results = await ExamResult.find(filter).sort({ timestamp: -1 });
+        res.status(200).json(results);
+    } catch (error) {
+        sendError(res, error, 'Error fetching exam results:', 'Error fetching exam results from database.');
+    }
+});
+
+app.get('/api/lessons/:id/exam-results', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const lesson = await Lesson.findById(id);
+        if (!lesson) {
+            return res.status(404).json({ message: 'Lesson not found.' });
+        }
+
+        const results = await ExamResult.find({ lessonId: lesson._id }).sort({ timestamp: -1 });
+        const count = results.length;
+        const averageScore = count ? results.reduce((sum, r) => sum + r.score, 0) / count : 0;
+        const passRate = count ? results.filter(r => r.passed).length / count : 0;
+
+        // Share of attempts that got each question wrong, measured against the lesson's current answer key
+        const questionStats = lesson.examQuestions.map((q, i) => {
+            const misses = results.filter(r => r.answers[i] !== q.correctAnswer).length;
+            return { index: i, question: q.question, missRate: count ? misses / count : 0 };
+        });
+
+        res.status(200).json({ lessonId: lesson._id, lessonTitle: lesson.title, attempts: count, averageScore, passRate, questionStats, results });
+    } catch (error) {
+        sendError(res, error, 'Error fetching lesson exam results:', 'Error fetching exam results from database.');
+    }
+});
+
+
+// Homework Endpoints
+const homeworkSubmissionFields = {
+    fileKey: { type: 'string', required: true, maxLength: 200 },
+    note: { type: 'string', maxLength: 2000 }
+};
+
+// Hand in (or, until it is graded, replace) homework for an owned lesson before its deadline
+app.post('/api/lessons/:id/homework', authenticate, authorize('student'), validateBody(homeworkSubmissionFields), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fileKey, note } = req.body;
+
+        const student = req.user;
+        const lesson = await Lesson.findOne({ _id: id, isActive: true, ...studentGradeFilter(student) });
+        if (!lesson) {
+            return res.status(404).json({ message: 'Lesson not found.' });
+        }
+        if (!lesson.homeworkFile) {
+            return res.status(400).json({ message: 'This lesson has no homework.' });
+        }
+        if (!(await ownsLesson(student._id, lesson._id))) {
+            return res.status(403).json({ message: 'You must own this lesson to submit its homework.' });
+        }
+        if (lesson.homeworkDeadline && lesson.homeworkDeadline <= new Date()) {
+            return res.status(409).json({ message: 'The homework deadline has passed.' });
+        }
+        if (!(await UploadedFile.exists({ key: fileKey, field: 'homeworkSubmission', uploadedBy: student._id }))) {
+            return res.status(400).json({ message: 'Upload your answer with POST /api/uploads/homeworkSubmission first.' });
+        }
+
+        const existing = await HomeworkSubmission.findOne({ studentId: student._id, lessonId: lesson._id });
+        if (existing && existing.status === 'graded') {
+            return res.status(409).json({ message: 'This homework has already been graded.' });
+        }
+
+        const submission = existing || new HomeworkSubmission({
+            studentId: student._id,
+            studentName: student.fullName,
+            lessonId: lesson._id,
+            lessonTitle: lesson.title
+        });
+        submission.set({ fileKey, note, maxMark: lesson.homeworkMaxMark, submittedAt: new Date() });
+        await submission.save();
+
+        res.status(existing ? 200 : 201).json({
+            message: existing ? 'Homework resubmitted successfully' : 'Homework submitted successfully',
+            submission
+        });
+    } catch (error) {
+        if (error.code === 11000) { // Concurrent first submissions
+            return res.status(409).json({ message: 'Homework was already submitted; please try again.' });
+        }
+        sendError(res, error, 'Error submitting homework:', 'Error submitting homework.');
+    }
+});
+
+app.get('/api/homework/mine', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const filter = { studentId: req.user._id };
+        if (req.query.lessonId) filter.lessonId = req.query.lessonId;
+        const submissions = await HomeworkSubmission.find(filter).sort({ submittedAt: -1 });
+        res.status(200).json(submissions);
+    } catch (error) {
+        sendError(res, error, 'Error fetching homework:', 'Error fetching homework from database.');
+    }
+});
+
+// Grading queue, oldest first. Filters: ?status= (default submitted), ?lessonId=; sort on submittedAt or gradedAt
+app.get('/api/homework', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['submittedAt', 'gradedAt'], defaultSort: 'submittedAt' });
+        const filter = { status: 'submitted' };
+        addEnumFilter(filter, req.query, 'status', ['submitted', 'graded']);
+        if (req.query.lessonId) filter.lessonId = req.query.lessonId;
+        res.status(200).json(await paginate(HomeworkSubmission, filter, options));
+    } catch (error) {
+        sendError(res, error, 'Error fetching homework queue:', 'Error fetching homework from database.');
+    }
+});
+
+app.get('/api/homework/:id', authenticate, authorize('student', 'teacher'), async (req, res) => {
+    try {
+        const submission = await HomeworkSubmission.findById(req.params.id);
+        if (!submission || (req.user.type === 'student' && !submission.studentId.equals(req.user._id))) {
+            return res.status(404).json({ message: 'Homework submission not found.' });
+        }
+        res.status(200).json(submission);
+    } catch (error) {
+        sendError(res, error, 'Error fetching homework submission:', 'Error fetching homework from database.');
+    }
+});
+
+const homeworkGradeFields = {
+    mark: { type: 'number', required: true, min: 0 },
+    feedback: { type: 'string', maxLength: 5000 }
+};
+
+// Grade (or regrade) a submission; points are only awarded the first time it is graded
+app.put('/api/homework/:id/grade', authenticate, authorize('teacher'), validateBody(homeworkGradeFields), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { mark, feedback } = req.body;
+        const teacher = req.user;
+
+        const submission = await mongoose.connection.transaction(async (session) => {
+            const current = await HomeworkSubmission.findById(id).session(session);
+            if (!current) {
+                throw new HttpError(404, 'Homework submission not found.');
+            }
+            if (mark > current.maxMark) {
+                throw new HttpError(400, `Mark cannot exceed ${current.maxMark}.`);
+            }
+
+            const regrade = current.status === 'graded';
+            current.set({ status: 'graded', mark, feedback, gradedBy: teacher._id, gradedAt: new Date() });
+            await current.save({ session });
+
+            await notifyStudent(current.studentId, {
+                type: 'teacher',
+                title: regrade ? 'Homework grade updated' : 'Homework graded',
+                message: `Your homework for "${current.lessonTitle}" was marked ${mark}/${current.maxMark}.`,
+                relatedId: current._id
+            }, session);
+            if (!regrade) {
+                await awardPoints(current.studentId, 'homework_graded', `Homework graded: ${current.lessonTitle}`, session);
+            }
+            return current;
+        });
+
+        res.status(200).json({ message: 'Homework graded successfully', submission });
+    } catch (error) {
+        sendError(res, error, 'Error grading homework:', 'Error grading homework.');
+    }
+});
+
+
+// Student Progress Endpoints
+
+// Per-lesson progress (exam attempts and best score, homework status and mark) for every lesson
+// the student owns or has worked on, plus overall totals
+const buildStudentProgress = async (student) => {
+    const [owned, examStats, homework] = await Promise.all([
+        getOwnedLessonIds(student._id),
+        ExamResult.aggregate([
+            { $match: { studentId: student._id } },
+            {
+                $group: {
+                    _id: '$lessonId',
+                    attempts: { $sum: 1 },
+                    bestScore: { $max: '$score' },
+                    passed: { $max: '$passed' },
+                    lastAttemptAt: { $max: '$timestamp' }
+                }
+            }
+        ]),
+        HomeworkSubmission.find({ studentId: student._id })
+    ]);
+
+    const examsByLesson = new Map(examStats.map(exam => [exam._id.toString(), exam]));
+    const homeworkByLesson = new Map(homework.map(submission => [submission.lessonId.toString(), submission]));
+    const lessonIds = new Set([...owned, ...examsByLesson.keys(), ...homeworkByLesson.keys()]);
+    const lessons = await Lesson.find({ _id: { $in: [...lessonIds] } }, { title: 1, grade: 1, homeworkFile: 1, homeworkDeadline: 1 }).sort({ createdAt: 1 });
+
+    const graded = homework.filter(submission => submission.status === 'graded');
+    const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+    return {
+        studentId: student._id,
+        fullName: student.fullName,
+        gradeLevel: student.gradeLevel,
+        points: student.points,
+        summary: {
+            ownedLessons: owned.size,
+            examsTaken: examStats.length,
+            examsPassed: examStats.filter(exam => exam.passed).length,
+            averageBestScore: average(examStats.map(exam => exam.bestScore)),
+            homeworkSubmitted: homework.length,
+            homeworkGraded: graded.length,
+            averageHomeworkPercent: average(graded.map(submission => (submission.mark / submission.maxMark) * 100))
+        },
+        lessons: lessons.map(lesson => {
+            const id = lesson._id.toString();
+            const exam = examsByLesson.get(id);
+            const submission = homeworkByLesson.get(id);
+            return {
+                lessonId: lesson._id,
+                title: lesson.title,
+                isOwned: owned.has(id),
+                exam: exam ? { attempts: exam.attempts, bestScore: exam.bestScore, passed: exam.passed, lastAttemptAt: exam.lastAttemptAt } : null,
+                homework: submission
+                    ? { status: submission.status, mark: submission.mark, maxMark: submission.maxMark, feedback: submission.feedback, submittedAt: submission.submittedAt, gradedAt: submission.gradedAt }
+                    : { status: lesson.homeworkFile ? 'missing' : 'none', deadline: lesson.homeworkDeadline }
+            };
+        })
+    };
+};
+
+app.get('/api/students/me/progress', authenticate, authorize('student'), async (req, res) => {
+    try {
+        res.status(200).json(await buildStudentProgress(req.user));
+    } catch (error) {
+        sendError(res, error, 'Error building progress report:', 'Error building progress report.');
+    }
+});
+
+app.get('/api/students/:id/progress', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        const student = await Student.findById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+        res.status(200).json(await buildStudentProgress(student));
+    } catch (error) {
+        sendError(res, error, 'Error building progress report:', 'Error building progress report.');
+    }
+});
+
+
+// Points & Rewards Endpoints
+app.get('/api/point-rules', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const rules = await PointRule.find({});
+        res.status(200).json(rules);
+    } catch (error) {
+        sendError(res, error, 'Error fetching point rules:', 'Error fetching point rules from database.');
+    }
+});
+
+const pointRuleFields = {
+    points: { type: 'integer', required: true, min: 0 },
+    isActive: { type: 'boolean' }
+};
+
+app.put('/api/point-rules/:event', authenticate, authorize('teacher'), validateBody(pointRuleFields), async (req, res) => {
+    try {
+        const { event } = req.params;
+        const { points, isActive } = req.body;
+        if (!POINT_EVENTS.includes(event)) {
+            return res.status(404).json({ message: 'Unknown point event.' });
+        }
+
+        const rule = await PointRule.findOneAndUpdate(
+            { event },
+            { points, isActive: isActive !== undefined ? isActive : true, updatedAt: new Date() },
+            { new: true, upsert: true, runValidators: true }
+        );
+        res.status(200).json({ message: 'Point rule saved successfully', rule });
+    } catch (error) {
+        sendError(res, error, 'Error saving point rule:', 'Error saving point rule to database.');
+    }
+});
+
+app.get('/api/rewards', authenticate, async (req, res) => {
+    try {
+        const filter = req.user.type === 'student' ? { isActive: true } : {};
+        const rewards = await Reward.find(filter).sort({ cost: 1 });
+        res.status(200).json(rewards);
+    } catch (error) {
+        sendError(res, error, 'Error fetching rewards:', 'Error fetching rewards from database.');
+    }
+});
+
+const rewardFields = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string' },
+    cost: { type: 'integer', required: true, min: 1 },
+    effect: { type: 'string', required: true, enum: ['free_lesson', 'discount'] },
+    lessonId: { type: 'objectId', nullable: true },
+    discountType: { type: 'string', enum: ['percent', 'fixed'] },
+    discountValue: { type: 'number', min: 0 },
+    isActive: { type: 'boolean' }
+};
+
+app.post('/api/rewards', authenticate, authorize('teacher'), validateBody(rewardFields), async (req, res) => {
+    try {
+        const { effect, discountType, discountValue } = req.body;
+        if (effect === 'discount' && (!discountType || typeof discountValue !== 'number')) {
+            return res.status(400).json({ message: 'Discount rewards need a discount type and value.' });
+        }
+        const newReward = new Reward(req.body);
+        await newReward.save();
+        res.status(201).json({ message: 'Reward created successfully', reward: newReward });
+    } catch (error) {
+        sendError(res, error, 'Error creating reward:', 'Error creating reward in database.');
+    }
+});
+
+app.put('/api/rewards/:id', authenticate, authorize('teacher'), validateBody(rewardFields, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updatedReward = await Reward.findByIdAndUpdate(id, req.body, { new: true, runValidators: true });
+        if (!updatedReward) {
+            return res.status(404).json({ message: 'Reward not found.' });
+        }
+        res.status(200).json({ message: 'Reward updated successfully', reward: updatedReward });
+    } catch (error) {
+        sendError(res, error, 'Error updating reward:', 'Error updating reward in database.');
+    }
+});
+
+app.delete('/api/rewards/:id', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedReward = await Reward.findByIdAndDelete(id);
+        if (!deletedReward) {
+            return res.status(404).json({ message: 'Reward not found.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        sendError(res, error, 'Error deleting reward:', 'Error deleting reward from database.');
+    }
+});
+
+// Spend points on a reward; the deduction, history and reward effect commit together
+app.post('/api/rewards/:id/redeem', authenticate, authorize('student'), validateBody({ lessonId: { type: 'objectId' } }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const studentId = req.user._id;
+
+        const redemption = await mongoose.connection.transaction(async (session) => {
+            const reward = await Reward.findOne({ _id: id, isActive: true }).session(session);
+            if (!reward) {
+                throw new HttpError(404, 'Reward not found.');
+            }
+
+            const student = await Student.findOneAndUpdate(
+                { _id: studentId, points: { $gte: reward.cost } },
+                { $inc: { points: -reward.cost } },
+                { new: true, session }
+            );
+            if (!student) {
+                throw new HttpError(400, 'Not enough points.');
+            }
+            await RewardHistory.create([{ studentId, points: -reward.cost, reason: `Redeemed: ${reward.name}` }], { session });
+
+            const record = { studentId, rewardId: reward._id, rewardName: reward.name, cost: reward.cost };
+            let couponCode;
+            if (reward.effect === 'free_lesson') {
+                const lessonId = reward.lessonId || req.body.lessonId;
+                const lesson = lessonId && await Lesson.findOne({ _id: lessonId, isActive: true, ...studentGradeFilter(student) }).session(session);
+                if (!lesson) {
+                    throw new HttpError(400, 'A valid lesson must be chosen for this reward.');
+                }
+                if (await PurchasedItem.exists({ studentId, itemId: lesson._id }).session(session)) {
+                    throw new HttpError(409, 'You already own this lesson.');
+                }
+                const [purchase] = await PurchasedItem.create([{ studentId, itemId: lesson._id, itemType: 'Lesson', price: 0 }], { session });
+                record.purchasedItemId = purchase._id;
+            } else {
+                const [coupon] = await Coupon.create([{
+                    code: `RW-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+                    discountType: reward.discountType,
+                    discountValue: reward.discountValue,
+                    studentId,
+                    maxUses: 1,
+                    source: 'reward'
+                }], { session });
+                record.couponId = coupon._id;
+                couponCode = coupon.code;
+            }
+
+            const [redeemed] = await RedeemedReward.create([record], { session });
+            return { redeemed, couponCode, points: student.points };
+        });
+
+        res.status(201).json({ message: 'Reward redeemed successfully', ...redemption });
+    } catch (error) {
+        sendError(res, error, 'Error redeeming reward:', 'Error redeeming reward.');
+    }
+});
+
+app.get('/api/rewards/history/mine', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const [history, redeemed] = await Promise.all([
+            RewardHistory.find({ studentId: req.user._id }).sort({ timestamp: -1 }),
+            RedeemedReward.find({ studentId: req.user._id }).populate('couponId', 'code usedCount maxUses').sort({ timestamp: -1 })
+        ]);
+        res.status(200).json({ points: req.user.points, history, redeemed });
+    } catch (error) {
+        sendError(res, error, 'Error fetching reward history:', 'Error fetching reward history from database.');
+    }
+});
+
+// Students always see their own grade; staff choose one with ?gradeLevel=
+app.get('/api/leaderboard', authenticate, async (req, res) => {
+    try {
+        const gradeLevel = req.user.type === 'student' ? req.user.gradeLevel : (req.query.gradeLevel || 'all');
+        const limit = Math.min(Number(req.query.limit) || 10, 100);
+
+        const students = await Student.find({ gradeLevel, isBanned: false }, { fullName: 1, points: 1 })
+            .sort({ points: -1, createdAt: 1 })
+            .limit(limit);
+        res.status(200).json({
+            gradeLevel,
+            leaders: students.map((student, i) => ({ rank: i + 1, id: student._id, fullName: student.fullName, points: student.points }))
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching leaderboard:', 'Error fetching leaderboard from database.');
+    }
+});
+
+
+// Student Message (Question Thread) Endpoints
+const studentMessageFields = {
+    subject: { type: 'string', required: true, maxLength: 200 },
+    text: { type: 'string', required: true, maxLength: 5000 },
+    lessonId: { type: 'objectId' },
+    imageKey: { type: 'string' }
+};
+
+const replyFields = {
+    replyText: { type: 'string', maxLength: 5000 },
+    replyImageKey: { type: 'string' },
+    replyAudioKey: { type: 'string' }
+};
+
+app.post('/api/student-messages', authenticate, authorize('student'), validateBody(studentMessageFields), async (req, res) => {
+    try {
+        const { subject, text, lessonId, imageKey } = req.body;
+        if (lessonId && !(await Lesson.exists({ _id: lessonId }))) {
+            return res.status(404).json({ message: 'Lesson not found.' });
+        }
+
+        const newMessage = new StudentMessage({
+            studentId: req.user._id,
+            studentName: req.user.fullName,
+            lessonId,
+            subject,
+            text,
+            imageKey
+        });
+        await newMessage.save();
+        res.status(201).json({ message: 'Question sent successfully', studentMessage: newMessage });
+    } catch (error) {
+        sendError(res, error, 'Error sending student message:', 'Error sending question to database.');
+    }
+});
+
+app.get('/api/student-messages/mine', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const messages = await StudentMessage.find({ studentId: req.user._id }).sort({ timestamp: -1 });
+        res.status(200).json(messages);
+    } catch (error) {
+        sendError(res, error, 'Error fetching student messages:', 'Error fetching questions from database.');
+    }
+});
+
+// Staff inbox, newest first. Filters: ?status=, ?lessonId=, ?gradeLevel=; sort on timestamp
+app.get('/api/student-messages', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['timestamp'], defaultSort: '-timestamp' });
+        const filter = {};
+        addEnumFilter(filter, req.query, 'status', ['unread', 'read', 'replied']);
+        if (req.query.lessonId) filter.lessonId = req.query.lessonId;
+        const studentFilter = {};
+        addEnumFilter(studentFilter, req.query, 'gradeLevel', GRADES);
+        if (studentFilter.gradeLevel) {
+            const students = await Student.find(studentFilter, { _id: 1 });
+            filter.studentId = { $in: students.map(student => student._id) };
+        }
+
+        const result = await paginate(StudentMessage, filter, options);
+        await StudentMessage.populate(result.items, { path: 'lessonId', select: 'title grade' });
+        res.status(200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Error fetching student messages inbox:', 'Error fetching questions from database.');
+    }
+});
+
+// Opening an unread thread as staff marks it read
+app.get('/api/student-messages/:id', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const message = await StudentMessage.findById(id).populate('lessonId', 'title grade');
+        if (!message || (req.user.type === 'student' && !message.studentId.equals(req.user._id))) {
+            return res.status(404).json({ message: 'Question not found.' });
+        }
+
+        if (req.user.type !== 'student' && message.status === 'unread') {
+            message.status = 'read';
+            message.isRead = true;
+            await message.save();
+        }
+        res.status(200).json(message);
+    } catch (error) {
+        sendError(res, error, 'Error fetching student message:', 'Error fetching question from database.');
+    }
+});
+
+app.post('/api/student-messages/:id/replies', authenticate, validateBody(replyFields), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { replyText, replyImageKey, replyAudioKey } = req.body;
+        if (!replyText && !replyImageKey && !replyAudioKey) {
+            return res.status(400).json({ message: 'A reply needs text, an image or an audio recording.' });
+        }
+
+        const user = req.user;
+        const message = await StudentMessage.findById(id);
+        if (!message || (user.type === 'student' && !message.studentId.equals(user._id))) {
+            return res.status(404).json({ message: 'Question not found.' });
+        }
+
+        const reply = { authorType: user.type, replyText, replyImageKey, replyAudioKey, timestamp: new Date() };
+        if (user.type === 'teacher') reply.teacherId = user._id;
+        if (user.type === 'support') reply.supportId = user._id;
+        message.replies.push(reply);
+
+        if (user.type === 'student') {
+            // A follow-up puts the thread back in the staff inbox
+            message.status = 'unread';
+            message.isRead = false;
+        } else {
+            message.status = 'replied';
+            message.isRead = true;
+        }
+
+        await mongoose.connection.transaction(async (session) => {
+            await message.save({ session });
+            if (user.type === 'student') {
+                return;
+            }
+            await notifyStudent(message.studentId, {
+                type: user.type,
+                title: 'New reply to your question',
+                message: `${user.fullName} replied to "${message.subject}".`,
+                relatedId: message._id,
+                canReply: true
+            }, session);
+            await logSupportActivity(user, 'replied_to_question', { studentMessageId: message._id, studentId: message.studentId }, session);
+        });
+
+        res.status(201).json({ message: 'Reply sent successfully', studentMessage: message });
+    } catch (error) {
+        sendError(res, error, 'Error replying to student message:', 'Error sending reply.');
+    }
+});
+
+
+// Student Notification Endpoints
+// Newest first. Filters: ?unread=true; sort on timestamp
+app.get('/api/notifications', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const options = parseListOptions(req.query, { sortable: ['timestamp'], defaultSort: '-timestamp' });
+        const filter = { studentId: req.user._id };
+        if (req.query.unread === 'true') filter.isRead = false;
+
+        const [result, unreadCount] = await Promise.all([
+            paginate(StudentNotification, filter, options),
+            StudentNotification.countDocuments({ studentId: req.user._id, isRead: false })
+        ]);
+        res.status(200).json({ unreadCount, ...result });
+    } catch (error) {
+        sendError(res, error, 'Error fetching notifications:', 'Error fetching notifications from database.');
+    }
+});
+
+app.get('/api/notifications/unread-count', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const unreadCount = await StudentNotification.countDocuments({ studentId: req.user._id, isRead: false });
+        res.status(200).json({ unreadCount });
+    } catch (error) {
+        sendError(res, error, 'Error counting notifications:', 'Error counting notifications.');
+    }
+});
+
+app.put('/api/notifications/read-all', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const result = await StudentNotification.updateMany({ studentId: req.user._id, isRead: false }, { isRead: true });
+        res.status(200).json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+    } catch (error) {
+        sendError(res, error, 'Error marking notifications read:', 'Error updating notifications.');
+    }
+});
+
+app.put('/api/notifications/:id/read', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const notification = await StudentNotification.findOneAndUpdate(
+            { _id: id, studentId: req.user._id },
+            { isRead: true },
+            { new: true }
+        );
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+        res.status(200).json({ message: 'Notification marked as read', notification });
+    } catch (error) {
+        sendError(res, error, 'Error marking notification read:', 'Error updating notification.');
+    }
+});
+
+
+// Book Order Endpoints
+
+// Allowed book order status transitions
+const BOOK_ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: [],
+    cancelled: []
+};
+
+const bookOrderFields = {
+    bookId: { type: 'objectId', required: true },
+    fullName: { type: 'string', required: true, maxLength: 100 },
+    phone: { type: 'string', required: true, maxLength: 20 },
+    address: { type: 'string', required: true, maxLength: 500 },
+    preferredBookstore: { type: 'string', maxLength: 200 },
+    couponCode: { type: 'string', maxLength: 50 }
+};
+
+const bookOrderStatusFields = {
+    status: { type: 'string', required: true, enum: Object.keys(BOOK_ORDER_TRANSITIONS) },
+    note: { type: 'string', maxLength: 500 }
+};
+
+app.post('/api/book-orders', authenticate, authorize('student'), validateBody(bookOrderFields), async (req, res) => {
+    try {
+        const { bookId, fullName, phone, address, preferredBookstore, couponCode } = req.body;
+
+        const student = req.user;
+        const order = await mongoose.connection.transaction(async (session) => {
+            const book = await Book.findById(bookId).session(session);
+            if (!book) {
+                throw new HttpError(404, 'Book not found.');
+            }
+            if (book.availability === 'unavailable') {
+                throw new HttpError(409, 'This book is currently unavailable.');
+            }
+
+            const orderId = new mongoose.Types.ObjectId();
+            let price = book.price;
+            let coupon;
+            if (couponCode) {
+                ({ coupon, price } = await redeemCoupon(couponCode, student, { itemType: 'Book', itemId: book._id, price, referenceId: orderId }, session));
+            }
+
+            await postWalletEntry({
+                studentId: student._id,
+                amount: -price,
+                type: 'book_order',
+                source: { type: 'BookOrder', id: orderId },
+                actor: student,
+                note: `Book: ${book.name}`
+            }, session);
+
+            const [newOrder] = await BookOrder.create([{
+                _id: orderId,
+                studentId: student._id,
+                studentName: student.fullName,
+                bookId: book._id,
+                bookName: book.name,
+                price,
+                originalPrice: coupon ? book.price : undefined,
+                couponId: coupon && coupon._id,
+                fullName,
+                phone,
+                address,
+                preferredBookstore,
+                statusHistory: [{ status: 'pending', changedBy: student._id }]
+            }], { session });
+            return newOrder;
+        });
+
+        res.status(201).json({ message: 'Book order placed successfully', order });
+    } catch (error) {
+        sendError(res, error, 'Error placing book order:', 'Error placing book order.');
+    }
+});
+
+app.get('/api/book-orders/mine', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const orders = await BookOrder.find({ studentId: req.user._id }).sort({ timestamp: -1 });
+        res.status(200).json(orders);
+    } catch (error) {
+        sendError(res, error, 'Error fetching student book orders:', 'Error fetching book orders from database.');
+    }
+});
+
+// Staff order queue, oldest first. Filters: ?status=, ?bookId=, ?studentId=, ?from=, ?to=; sort on timestamp
+app.get('/api/book-orders', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        const { bookId, studentId } = req.query;
+        const options = parseListOptions(req.query, { sortable: ['timestamp'], defaultSort: 'timestamp' });
+        const filter = {};
+        addEnumFilter(filter, req.query, 'status', ['pending', 'confirmed', 'shipped', 'cancelled']);
+        if (bookId) filter.bookId = bookId;
+        if (studentId) filter.studentId = studentId;
+        [['from', '$gte'], ['to', '$lte']].forEach(([param, operator]) => {
+            if (req.query[param] === undefined) return;
+            const date = new Date(String(req.query[param]));
+            if (Number.isNaN(date.getTime())) {
+                throw queryError(param, 'must be a valid date');
+            }
+            filter.timestamp = { ...filter.timestamp, [operator]: date };
+        });
+
+        res.status(200).json(await paginate(BookOrder, filter, options));
+    } catch (error) {
+        sendError(res, error, 'Error fetching book orders:', 'Error fetching book orders from database.');
+    }
+});
+
+// Move an order along BOOK_ORDER_TRANSITIONS; cancelling refunds the wallet in the same transaction
+app.put('/api/book-orders/:id/status', authenticate, authorize('teacher', 'support'), validateBody(bookOrderStatusFields), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        const user = req.user;
+        const order = await mongoose.connection.transaction(async (session) => {
+            const current = await BookOrder.findById(id).session(session);
+            if (!current) {
+                throw new HttpError(404, 'Book order not found.');
+            }
+            if (!BOOK_ORDER_TRANSITIONS[current.status].includes(status)) {
+                throw new HttpError(409, `Cannot change order from ${current.status} to ${status}.`);
+            }
+
+            const previousStatus = current.status;
+            current.status = status;
+            current.statusHistory.push({ status, changedBy: user._id, note });
+            if (status === 'cancelled') {
+                await postWalletEntry({
+                    studentId: current.studentId,
+                    amount: current.price,
+                    type: 'book_refund',
+                    source: { type: 'BookOrder', id: current._id },
+                    actor: user,
+                    note: note ? `Cancelled: ${note}` : 'Cancelled book order'
+                }, session);
+                current.refundedAt = new Date();
+                if (current.couponId) {
+                    await releaseCoupon(current.couponId, current._id, session);
+                }
+            }
+            await current.save({ session });
+
+            const refundNote = status === 'cancelled' ? ` ${current.price} has been refunded to your balance.` : '';
+            await notifyStudent(current.studentId, {
+                type: 'system',
+                title: `Book order ${status}`,
+                message: `Your order for "${current.bookName}" is now ${status}.${refundNote}`,
+                relatedId: current._id
+            }, session);
+            await logSupportActivity(user, 'updated_book_order', { bookOrderId: current._id, from: previousStatus, to: status, note }, session);
+            return current;
+        });
+
+        res.status(200).json({ message: 'Book order updated successfully', order });
+    } catch (error) {
+        sendError(res, error, 'Error updating book order status:', 'Error updating book order.');
+    }
+});
+
+
+// File Upload & Download Endpoints
+app.post('/api/uploads/:field', authenticate, handleUpload, async (req, res) => {
+    try {
+        const { key, size } = req.file;
+        const file = new UploadedFile({
+            key,
+            field: req.params.field,
+            mimeType: req.file.mimetype,
+            size,
+            originalName: req.file.originalname,
+            uploadedBy: req.user._id
+        });
+        await file.save();
+        res.status(201).json({ message: 'File uploaded successfully', key, size, mimeType: file.mimeType });
+    } catch (error) {
+        sendError(res, error, 'Error saving uploaded file:', 'Error saving uploaded file.');
+    }
+});
+
+// Issue a short-lived signed URL that media players can fetch without an Authorization header
+app.get('/api/files/signed-url', authenticate, async (req, res) => {
+    try {
+        const { key } = req.query;
+        const file = key && await UploadedFile.findOne({ key });
+        if (!file) {
+            return res.status(404).json({ message: 'File not found.' });
+        }
+        if (!(await canAccessFile(req.user, file))) {
+            return res.status(403).json({ message: 'You do not have access to this file.' });
+        }
+
+        const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS;
+        const url = `/api/files/${file.key}?expires=${expires}&sig=${signFileKey(file.key, expires)}`;
+        res.status(200).json({ url, expiresAt: new Date(expires * 1000) });
+    } catch (error) {
+        sendError(res, error, 'Error signing file URL:', 'Error creating file link.');
+    }
+});
+
+// Serve a file from a signed URL, honouring single HTTP Range requests for streaming
+app.get('/api/files/*', async (req, res) => {
+    try {
+        const key = req.params[0];
+        if (!verifyFileSignature(key, req.query.expires, req.query.sig)) {
+            return res.status(403).json({ message: 'Invalid or expired file link.' });
+        }
+
+        const file = await UploadedFile.findOne({ key });
+        if (!file) {
+            return res.status(404).json({ message: 'File not found.' });
+        }
+        const { size } = await fileStorage.stat(key);
+
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Type', file.mimeType);
+        res.setHeader('Cache-Control', 'private, no-store');
+
+        const range = parseByteRange(req.headers.range, size);
+        if (range === null) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+
+        let stream;
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+            stream = fileStorage.createReadStream(key, range);
+        } else {
+            res.status(200);
+            res.setHeader('Content-Length', size);
+            stream = fileStorage.createReadStream(key);
+        }
+        try {
+            await pipeline(stream, res); // Also destroys the source when the client aborts, so its descriptor is freed
+        } catch (err) {
+            if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Error streaming file:', err);
+            }
+        }
+    } catch (error) {
+        sendError(res, error, 'Error serving file:', 'Error serving file.');
+    }
+});
+
+
+// Analytics Endpoints (teacher reporting; every report takes ?from= and ?to=, defaulting to the last 30 days)
+
+const parseDateRange = (query) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+    if (Number.isNaN(from.getTime())) throw queryError('from', 'must be a valid date');
+    if (Number.isNaN(to.getTime())) throw queryError('to', 'must be a valid date');
+    if (from > to) throw queryError('from', 'must be before to');
+    return { from, to };
+};
+
+// Revenue per ?interval= (day, week or month) split into lessons, subscriptions and books
+app.get('/api/analytics/revenue', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { from, to } = parseDateRange(req.query);
+        const interval = req.query.interval || 'day';
+        if (!['day', 'week', 'month'].includes(interval)) {
+            throw queryError('interval', 'must be one of: day, week, month');
+        }
+        const period = (field) => ({ $dateTrunc: { date: field, unit: interval, timezone: ANALYTICS_TIMEZONE } });
+
+        const [purchaseRevenue, bookRevenue] = await Promise.all([
+            // Each purchase contributes its first payment plus one payment per renewal
+            PurchasedItem.aggregate([
+                { $project: {
+                    itemType: 1,
+                    payments: { $concatArrays: [
+                        [{ date: '$purchaseDate', amount: '$price' }],
+                        { $map: { input: { $ifNull: ['$renewals', []] }, as: 'r', in: { date: '$$r.renewedAt', amount: '$$r.price' } } }
+                    ] }
+                } },
+                { $unwind: '$payments' },
+                { $match: { 'payments.date': { $gte: from, $lte: to } } },
+                { $group: { _id: { period: period('$payments.date'), itemType: '$itemType' }, amount: { $sum: '$payments.amount' }, count: { $sum: 1 } } }
+            ]),
+            BookOrder.aggregate([
+                { $match: { status: { $ne: 'cancelled' }, timestamp: { $gte: from, $lte: to } } },
+                { $group: { _id: { period: period('$timestamp') }, amount: { $sum: '$price' }, count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const series = new Map();
+        const bucket = (date) => {
+            const key = date.toISOString();
+            if (!series.has(key)) series.set(key, { period: date, lessons: 0, subscriptions: 0, books: 0, total: 0 });
+            return series.get(key);
+        };
+        purchaseRevenue.forEach(({ _id, amount }) => {
+            const row = bucket(_id.period);
+            row[_id.itemType === 'Lesson' ? 'lessons' : 'subscriptions'] += amount;
+            row.total += amount;
+        });
+        bookRevenue.forEach(({ _id, amount }) => {
+            const row = bucket(_id.period);
+            row.books += amount;
+            row.total += amount;
+        });
+
+        const rows = [...series.values()].sort((a, b) => a.period - b.period);
+        const totals = rows.reduce((sum, row) => ({
+            lessons: sum.lessons + row.lessons,
+            subscriptions: sum.subscriptions + row.subscriptions,
+            books: sum.books + row.books,
+            total: sum.total + row.total
+        }), { lessons: 0, subscriptions: 0, books: 0, total: 0 });
+
+        res.status(200).json({ from, to, interval, timezone: ANALYTICS_TIMEZONE, totals, series: rows });
+    } catch (error) {
+        sendError(res, error, 'Error building revenue report:', 'Error building revenue report.');
+    }
+});
+
+app.get('/api/analytics/top-lessons', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { from, to } = parseDateRange(req.query);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+        const lessons = await PurchasedItem.aggregate([
+            { $match: { itemType: 'Lesson', purchaseDate: { $gte: from, $lte: to } } },
+            { $group: { _id: '$itemId', sales: { $sum: 1 }, revenue: { $sum: '$price' } } },
+            { $sort: { sales: -1, revenue: -1 } },
+            { $limit: limit },
+            { $lookup: { from: Lesson.collection.name, localField: '_id', foreignField: '_id', as: 'lesson' } },
+            { $project: { _id: 0, lessonId: '$_id', sales: 1, revenue: 1, title: { $arrayElemAt: ['$lesson.title', 0] }, grade: { $arrayElemAt: ['$lesson.grade', 0] } } }
+        ]);
+        res.status(200).json({ from, to, lessons });
+    } catch (error) {
+        sendError(res, error, 'Error building top lessons report:', 'Error building top lessons report.');
+    }
+});
+
+// Students per grade, split by whether their lastActivity falls inside the range
+app.get('/api/analytics/student-activity', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { from, to } = parseDateRange(req.query);
+        const grades = await Student.aggregate([
+            { $group: {
+                _id: '$gradeLevel',
+                total: { $sum: 1 },
+                active: { $sum: { $cond: [{ $and: [{ $gte: ['$lastActivity', from] }, { $lte: ['$lastActivity', to] }] }, 1, 0] } },
+                banned: { $sum: { $cond: ['$isBanned', 1, 0] } }
+            } },
+            { $project: { _id: 0, gradeLevel: '$_id', total: 1, active: 1, inactive: { $subtract: ['$total', '$active'] }, banned: 1 } },
+            { $sort: { gradeLevel: 1 } }
+        ]);
+        res.status(200).json({ from, to, grades });
+    } catch (error) {
+        sendError(res, error, 'Error building student activity report:', 'Error building student activity report.');
+    }
+});
+
+// Of the subscription terms that ended in the range, the share that were renewed.
+// Renewed terms are renewals whose previousExpiry is in range; lapsed ones are current expiries in range that have passed.
+app.get('/api/analytics/subscription-renewals', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { from, to } = parseDateRange(req.query);
+        const lapsedBefore = to < new Date() ? to : new Date();
+
+        const [renewed, lapsed] = await Promise.all([
+            PurchasedItem.aggregate([
+                { $match: { itemType: 'Subscription', 'renewals.previousExpiry': { $gte: from, $lte: to } } },
+                { $unwind: '$renewals' },
+                { $match: { 'renewals.previousExpiry': { $gte: from, $lte: to } } },
+                { $group: { _id: '$itemId', count: { $sum: 1 } } }
+            ]),
+            PurchasedItem.aggregate([
+                { $match: { itemType: 'Subscription', expiryDate: { $gte: from, $lte: lapsedBefore } } },
+                { $group: { _id: '$itemId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const bySubscription = new Map();
+        const entry = (id) => {
+            const key = id.toString();
+            if (!bySubscription.has(key)) bySubscription.set(key, { subscriptionId: id, renewed: 0, lapsed: 0 });
+            return bySubscription.get(key);
+        };
+        renewed.forEach(({ _id, count }) => { entry(_id).renewed += count; });
+        lapsed.forEach(({ _id, count }) => { entry(_id).lapsed += count; });
+
+        const subscriptions = await Subscription.find({ _id: { $in: [...bySubscription.values()].map(e => e.subscriptionId) } }, { name: 1 });
+        const names = new Map(subscriptions.map(sub => [sub._id.toString(), sub.name]));
+        const rate = (r, l) => (r + l > 0 ? r / (r + l) : null);
+
+        const rows = [...bySubscription.values()].map(e => ({ ...e, name: names.get(e.subscriptionId.toString()), renewalRate: rate(e.renewed, e.lapsed) }));
+        const totalRenewed = rows.reduce((sum, r) => sum + r.renewed, 0);
+        const totalLapsed = rows.reduce((sum, r) => sum + r.lapsed, 0);
+
+        res.status(200).json({ from, to, renewed: totalRenewed, lapsed: totalLapsed, renewalRate: rate(totalRenewed, totalLapsed), subscriptions: rows });
+    } catch (error) {
+        sendError(res, error, 'Error building subscription renewal report:', 'Error building subscription renewal report.');
+    }
+});
+
+app.get('/api/analytics/exam-pass-rates', authenticate, authorize('teacher'), async (req, res) => {
+    try {
+        const { from, to } = parseDateRange(req.query);
+        const lessons = await ExamResult.aggregate([
+            { $match: { timestamp: { $gte: from, $lte: to } } },
+            { $group: {
+                _id: '$lessonId',
+                lessonTitle: { $last: '$lessonTitle' },
+                attempts: { $sum: 1 },
+                passed: { $sum: { $cond: ['$passed', 1, 0] } },
+                averageScore: { $avg: '$score' },
+                students: { $addToSet: '$studentId' }
+            } },
+            { $project: {
+                _id: 0,
+                lessonId: '$_id',
+                lessonTitle: 1,
+                attempts: 1,
+                passed: 1,
+                passRate: { $divide: ['$passed', '$attempts'] },
+                averageScore: 1,
+                students: { $size: '$students' }
+            } },
+            { $sort: { passRate: 1 } } // Hardest lessons first
+        ]);
+        res.status(200).json({ from, to, lessons });
+    } catch (error) {
+        sendError(res, error, 'Error building exam pass rate report:', 'Error building exam pass rate report.');
+    }
+});
+
+
+// Parent Access & Progress Report Endpoints
+
+const PARENT_REPORT_NOTIFICATION_LIMIT = 10;
+
+// Progress report for one student over { from, to }: overall progress plus exams, purchases and
+// notifications inside the period, current subscriptions, last activity and ban status
+const buildProgressReport = async (student, { from, to }) => {
+    const now = new Date();
+    const [progress, isBanned, exams, purchases, notifications] = await Promise.all([
+        buildStudentProgress(student),
+        hasActiveBan(student),
+        ExamResult.find({ studentId: student._id, timestamp: { $gte: from, $lte: to } }).sort({ timestamp: -1 }),
+        PurchasedItem.find({ studentId: student._id }).populate('itemId', 'title name'),
+        StudentNotification.find({ studentId: student._id, timestamp: { $gte: from, $lte: to } })
+            .sort({ timestamp: -1 })
+            .limit(PARENT_REPORT_NOTIFICATION_LIMIT)
+    ]);
+    const itemName = (purchase) => (purchase.itemId ? purchase.itemId.title || purchase.itemId.name : 'Removed item');
+
+    return {
+        generatedAt: now,
+        period: { from, to },
+        student: {
+            id: student._id,
+            fullName: student.fullName,
+            gradeLevel: student.gradeLevel,
+            lastActivity: student.lastActivity,
+            isBanned,
+            banReason: isBanned ? student.banReason : undefined,
+            banExpiresAt: isBanned ? student.banExpiresAt : undefined
+        },
+        summary: progress.summary,
+        exams: {
+            attempts: exams.length,
+            passed: exams.filter(exam => exam.passed).length,
+            averageScore: exams.length ? Math.round(exams.reduce((sum, exam) => sum + exam.score, 0) / exams.length) : null,
+            results: exams.map(exam => ({ lessonTitle: exam.lessonTitle, score: exam.score, passed: exam.passed, timestamp: exam.timestamp }))
+        },
+        subscriptions: purchases
+            .filter(purchase => purchase.itemType === 'Subscription')
+            .map(purchase => ({ name: itemName(purchase), expiryDate: purchase.expiryDate, isActive: purchase.expiryDate > now, autoRenew: purchase.autoRenew })),
+        purchases: purchases
+            .filter(purchase => purchase.purchaseDate >= from && purchase.purchaseDate <= to)
+            .map(purchase => ({ name: itemName(purchase), itemType: purchase.itemType, price: purchase.price, purchaseDate: purchase.purchaseDate })),
+        lessons: progress.lessons,
+        recentNotifications: notifications.map(({ type, title, message, timestamp }) => ({ type, title, message, timestamp }))
+    };
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const formatReportDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const htmlTable = (headers, rows) => (rows.length === 0
+    ? '<p class="empty">None.</p>'
+    : `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows
+        .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+
+// Printable page with one section per report; browsers' "Save as PDF" gives the PDF version
+const renderProgressReportsHtml = (reports) => {
+    const sections = reports.map(report => {
+        const { student, summary, exams } = report;
+        return `<section class="report">
+<h1>${escapeHtml(student.fullName)}</h1>
+<p>Grade: ${escapeHtml(student.gradeLevel)} &middot; Period: ${formatReportDate(report.period.from)} to ${formatReportDate(report.period.to)} &middot; Last active: ${formatReportDate(student.lastActivity)}</p>
+${student.isBanned ? `<p class="alert">Account suspended${student.banExpiresAt ? ` until ${formatReportDate(student.banExpiresAt)}` : ''}: ${escapeHtml(student.banReason)}</p>` : ''}
+<h2>Summary</h2>
+${htmlTable(['Lessons owned', 'Exams passed', 'Average best score', 'Homework graded', 'Average homework'], [[
+        summary.ownedLessons,
+        `${summary.examsPassed} / ${summary.examsTaken}`,
+        summary.averageBestScore === null ? '-' : `${summary.averageBestScore}%`,
+        `${summary.homeworkGraded} / ${summary.homeworkSubmitted}`,
+        summary.averageHomeworkPercent === null ? '-' : `${summary.averageHomeworkPercent}%`
+    ]])}
+<h2>Exams this period</h2>
+${htmlTable(['Date', 'Lesson', 'Score', 'Result'], exams.results.map(exam => [formatReportDate(exam.timestamp), exam.lessonTitle, `${exam.score}%`, exam.passed ? 'Passed' : 'Failed']))}
+<h2>Homework</h2>
+${htmlTable(['Lesson', 'Status', 'Mark', 'Feedback'], report.lessons
+        .filter(lesson => lesson.homework.status !== 'none')
+        .map(lesson => [lesson.title, lesson.homework.status, lesson.homework.mark === undefined ? '-' : `${lesson.homework.mark} / ${lesson.homework.maxMark}`, lesson.homework.feedback || '']))}
+<h2>Subscriptions</h2>
+${htmlTable(['Subscription', 'Expires', 'Status'], report.subscriptions.map(sub => [sub.name, formatReportDate(sub.expiryDate), sub.isActive ? 'Active' : 'Expired']))}
+<h2>Recent notifications</h2>
+${htmlTable(['Date', 'Title', 'Message'], report.recentNotifications.map(n => [formatReportDate(n.timestamp), n.title, n.message]))}
+<p class="generated">Generated ${escapeHtml(new Date(report.generatedAt).toISOString())}</p>
+</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Progress report</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 14px; }
+th { background: #f2f2f2; }
+.alert { color: #b00020; font-weight: bold; }
+.empty, .generated { color: #777; font-size: 13px; }
+@media print { .report { page-break-after: always; } }
+</style></head>
+<body>${sections.join('\n')}</body></html>`;
+};
+
+// Report endpoints return JSON, or the printable page with ?format=html
+const sendProgressReports = (req, res, reports) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'html'].includes(format)) {
+        throw queryError('format', 'must be one of: json, html');
+    }
+    if (format === 'html') {
+        return res.status(200).type('html').send(renderProgressReportsHtml(reports));
+    }
+    res.status(200).json(reports.length === 1 ? reports[0] : reports);
+};
+
+const parentCodeFields = {
+    parentNumber: { type: 'string', required: true, maxLength: 20 }
+};
+
+// Staff generate a one-time code for a parent number; it is returned only in this response
+app.post('/api/parent-access/codes', authenticate, authorize('teacher', 'support'), validateBody(parentCodeFields), async (req, res) => {
+    try {
+        const { parentNumber } = req.body;
+        const children = await Student.countDocuments({ parentNumber, ...ACTIVE_USER });
+        if (children === 0) {
+            return res.status(404).json({ message: 'No students are linked to this parent number.' });
+        }
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const access = await mongoose.connection.transaction(async (session) => {
+            const [created] = await ParentAccessCode.create([{
+                parentNumber,
+                codeHash: await bcrypt.hash(code, 10),
+                expiresAt: new Date(Date.now() + PARENT_ACCESS_CODE_TTL_HOURS * 60 * 60 * 1000),
+                createdBy: req.user._id
+            }], { session });
+            await logSupportActivity(req.user, 'generated_parent_code', { parentNumber, children }, session);
+            return created;
+        });
+
+        res.status(201).json({ message: 'Parent access code generated', parentNumber, children, code, expiresAt: access.expiresAt });
+    } catch (error) {
+        sendError(res, error, 'Error generating parent access code:', 'Error generating parent access code.');
+    }
+});
+
+// Revokes every code for the number, ending any parent session opened with them
+app.post('/api/parent-access/revoke', authenticate, authorize('teacher', 'support'), validateBody(parentCodeFields), async (req, res) => {
+    try {
+        const { parentNumber } = req.body;
+        const revoked = await mongoose.connection.transaction(async (session) => {
+            const { modifiedCount } = await ParentAccessCode.updateMany(
+                { parentNumber, revokedAt: { $exists: false } },
+                { revokedAt: new Date() },
+                { session }
+            );
+            await logSupportActivity(req.user, 'revoked_parent_access', { parentNumber, revoked: modifiedCount }, session);
+            return modifiedCount;
+        });
+        res.status(200).json({ message: 'Parent access revoked successfully', revoked });
+    } catch (error) {
+        sendError(res, error, 'Error revoking parent access:', 'Error revoking parent access.');
+    }
+});
+
+const parentLoginFields = {
+    parentNumber: { type: 'string', required: true, maxLength: 20 },
+    code: { type: 'string', required: true, maxLength: 20 }
+};
+
+// Exchange a one-time code for a read-only parent session
+app.post('/api/auth/parent-login', rateLimit('parent-login', AUTH_RATE_LIMIT), validateBody(parentLoginFields), guardAccount('parent-login', req => req.body.parentNumber), async (req, res) => {
+    try {
+        const { parentNumber, code } = req.body;
+
+        const candidates = await ParentAccessCode.find({
+            parentNumber,
+            usedAt: { $exists: false },
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        });
+        let access = null;
+        for (const candidate of candidates) {
+            if (await bcrypt.compare(code, candidate.codeHash)) {
+                // Claim the code atomically so it can only ever open one session
+                access = await ParentAccessCode.findOneAndUpdate(
+                    { _id: candidate._id, usedAt: { $exists: false } },
+                    { usedAt: new Date() },
+                    { new: true }
+                );
+                break;
+            }
+        }
+        if (!access) {
+            await req.lockout.fail();
+            return res.status(401).json({ message: 'Invalid or expired parent code.' });
+        }
+        await req.lockout.succeed();
+
+        const token = jwt.sign({ sub: parentNumber, sid: access._id.toString(), use: 'parent' }, JWT_SECRET, { expiresIn: PARENT_SESSION_TTL });
+        res.status(200).json({ message: 'Parent login successful', parentNumber, accessToken: token });
+    } catch (error) {
+        sendError(res, error, 'Parent login error:', 'Server error during parent login.');
+    }
+});
+
+app.get('/api/parent/children', authenticateParent, async (req, res) => {
+    try {
+        const children = await Student.find({ parentNumber: req.parentNumber, ...ACTIVE_USER }).sort({ fullName: 1 });
+        res.status(200).json(children.map(child => ({
+            id: child._id,
+            fullName: child.fullName,
+            gradeLevel: child.gradeLevel,
+            lastActivity: child.lastActivity
+        })));
+    } catch (error) {
+        sendError(res, error, 'Error fetching parent children:', 'Error fetching children from database.');
+    }
+});
+
+// Every linked child's report; ?from= and ?to= default to the last 30 days
+app.get('/api/parent/report', authenticateParent, async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        const children = await Student.find({ parentNumber: req.parentNumber, ...ACTIVE_USER }).sort({ fullName: 1 });
+        const reports = await Promise.all(children.map(child => buildProgressReport(child, range)));
+        sendProgressReports(req, res, reports);
+    } catch (error) {
+        sendError(res, error, 'Error building parent report:', 'Error building progress report.');
+    }
+});
+
+app.get('/api/parent/children/:id/report', authenticateParent, async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        const child = await Student.findOne({ _id: req.params.id, parentNumber: req.parentNumber, ...ACTIVE_USER });
+        if (!child) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+        sendProgressReports(req, res, [await buildProgressReport(child, range)]);
+    } catch (error) {
+        sendError(res, error, 'Error building parent report:', 'Error building progress report.');
+    }
+});
+
+// The same report for staff, e.g. to print for a parent meeting
+app.get('/api/students/:id/report', authenticate, authorize('teacher', 'support'), async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        const student = await Student.findById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+        sendProgressReports(req, res, [await buildProgressReport(student, range)]);
+    } catch (error) {
+        sendError(res, error, 'Error building progress report:', 'Error building progress report.');
+    }
+});
+
+
+// Event Stream (Server-Sent Events) Endpoints
+
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+// Open streams per user id. Presence and pushes are tracked in this process, so this assumes a single server instance.
+const eventStreams = new Map();
+
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const pushToUser = (userId, event, data) => {
+    for (const stream of eventStreams.get(String(userId)) || []) {
+        sendEvent(stream.res, event, data);
+    }
+};
+
+const pushToUserType = (type, event, data) => {
+    for (const streams of eventStreams.values()) {
+        for (const stream of streams) {
+            if (stream.type === type) {
+                sendEvent(stream.res, event, data);
+            }
+        }
+    }
+};
+
+const hasStreamsOfType = (type) => [...eventStreams.values()].some(streams => [...streams].some(stream => stream.type === type));
+
+const getSupportCounts = async () => {
+    const [pendingTransfers, unreadQuestions] = await Promise.all([
+        TransferRequest.countDocuments({ status: 'pending' }),
+        StudentMessage.countDocuments({ status: 'unread' })
+    ]);
+    return { pendingTransfers, unreadQuestions };
+};
+
+// Bursts of queue changes are coalesced into a single recount
+let supportCountsTimer = null;
+const scheduleSupportCounts = () => {
+    if (supportCountsTimer || !hasStreamsOfType('support')) {
+        return;
+    }
+    supportCountsTimer = setTimeout(async () => {
+        supportCountsTimer = null;
+        try {
+            pushToUserType('support', 'pending_counts', await getSupportCounts());
+        } catch (error) {
+            console.error('Error pushing support counts:', error);
+        }
+    }, 1000);
+};
+
+const setSupportPresence = async (supportId, isOnline) => {
+    await SupportStaff.updateOne({ _id: supportId }, { isOnline });
+    pushToUserType('teacher', 'support_presence', { supportId, isOnline });
+};
+
+// Change streams only report committed writes, so nothing from an aborted transaction is ever pushed
+const watchCollection = (Model, pipeline, onChange) => {
+    const changeStream = Model.watch(pipeline);
+    changeStream.on('change', onChange);
+    changeStream.on('error', (error) => {
+        console.error(`${Model.modelName} change stream error:`, error);
+        changeStream.close().catch(() => {});
+        setTimeout(() => watchCollection(Model, pipeline, onChange), 5000).unref();
+    });
+};
+
+const startRealtimeFeeds = () => {
+    // No stream survives a restart, so nobody is online yet
+    SupportStaff.updateMany({ isOnline: true }, { isOnline: false })
+        .catch(err => console.error('Error resetting support presence:', err));
+
+    watchCollection(StudentNotification, [{ $match: { operationType: 'insert' } }], ({ fullDocument }) => {
+        pushToUser(fullDocument.studentId, 'notification', fullDocument);
+    });
+    watchCollection(TransferRequest, [], scheduleSupportCounts);
+    watchCollection(StudentMessage, [], scheduleSupportCounts);
+    // A tokenVersion bump (logout, ban, deactivation, credential change) revokes open streams as well as tokens
+    watchCollection(User, [{ $match: { operationType: 'update', 'updateDescription.updatedFields.tokenVersion': { $exists: true } } }], ({ documentKey }) => {
+        for (const stream of eventStreams.get(String(documentKey._id)) || []) {
+            stream.res.end();
+        }
+    });
+};
+
+// EventSource cannot set headers, so this stream also accepts the access token as ?access_token=
+const acceptQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// Students receive "notification" events; support staff "pending_counts"; teachers "support_presence"
+app.get('/api/events', acceptQueryToken, authenticate, (req, res) => {
+    const user = req.user;
+    const userId = String(user._id);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const stream = { res, type: user.type };
+    const streams = eventStreams.get(userId) || new Set();
+    const firstStream = streams.size === 0;
+    streams.add(stream);
+    eventStreams.set(userId, streams);
+
+    // End the stream when the access token expires; the client reconnects with a fresh one
+    const { exp } = jwt.decode(req.headers.authorization.split(' ')[1]);
+    const expiryTimer = setTimeout(() => res.end(), exp * 1000 - Date.now());
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearTimeout(expiryTimer);
+        clearInterval(heartbeat);
+        streams.delete(stream);
+        if (streams.size === 0 && eventStreams.get(userId) === streams) {
+            eventStreams.delete(userId);
+            if (user.type === 'support') {
+                setSupportPresence(user._id, false).catch(err => console.error('Error updating support presence:', err));
+            }
+        }
+    });
+
+    sendEvent(res, 'ready', { userId, type: user.type });
+    if (user.type === 'support') {
+        if (firstStream) {
+            setSupportPresence(user._id, true).catch(err => console.error('Error updating support presence:', err));
+        }
+        getSupportCounts()
+            .then(counts => sendEvent(res, 'pending_counts', counts))
+            .catch(err => console.error('Error fetching support counts:', err));
+    }
+});
+
+
+// Unknown API routes and errors passed to next() (e.g. malformed JSON) get the same JSON error shape
+app.use('/api', (req, res) => {
+    res.status(404).json({ message: 'Endpoint not found.' });
+});
+
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ message: 'Request body is not valid JSON.' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ message: 'Request body is too large.' });
+    }
+    sendError(res, err, 'Unhandled request error:', 'Internal server error.');
+});
+
+// ----------------------------------------------------
+// Background Scheduler
+// ----------------------------------------------------
+
+const subscriptionName = (subscription) => (subscription.itemId && subscription.itemId.name) || 'your subscription';
+
+// Renew opted-in subscriptions that end before the next run, so access carries on without a gap.
+// A failed renewal is recorded against that expiryDate and notified once; the term then lapses normally.
+const autoRenewSubscriptions = async (now) => {
+    const horizon = new Date(now.getTime() + SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+    const due = await PurchasedItem.find({
+        itemType: 'Subscription',
+        status: 'active',
+        autoRenew: true,
+        expiryDate: { $lte: horizon },
+        $expr: { $ne: ['$autoRenewFailedFor', '$expiryDate'] }
+    }).populate('itemId', 'name');
+
+    for (const subscription of due) {
+        const name = subscriptionName(subscription);
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                // Skip it if it was renewed or opted out since the scan
+                const current = await PurchasedItem.findOne({ _id: subscription._id, autoRenew: true, expiryDate: subscription.expiryDate }).session(session);
+                if (!current) {
+                    return;
+                }
+                const { purchase, balance } = await purchaseItem(current.studentId, 'Subscription', current.itemId, session);
+                await notifyStudent(current.studentId, {
+                    type: 'payment',
+                    title: 'Subscription renewed',
+                    message: `${name} was renewed automatically until ${purchase.expiryDate.toISOString().slice(0, 10)}. Your new balance is ${balance}.`,
+                    relatedId: purchase._id
+                }, session);
+            });
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`Auto-renewal of ${subscription._id} failed:`, error);
+                continue;
+            }
+            await PurchasedItem.updateOne({ _id: subscription._id }, { autoRenewFailedFor: subscription.expiryDate });
+            await notifyStudent(subscription.studentId, {
+                type: 'payment',
+                title: 'Auto-renewal failed',
+                message: error.status === 400
+                    ? `Your balance is too low to renew ${name}. Top up your wallet and renew it before it ends.`
+                    : `${name} could not be renewed automatically: ${error.message}`,
+                relatedId: subscription._id
+            });
+        }
+    }
+};
+
+// Each update is conditional on the state that was scanned, so overlapping runs never notify twice
+const expireSubscriptions = async (now) => {
+    const ended = await PurchasedItem.find({ itemType: 'Subscription', status: 'active', expiryDate: { $lte: now } }).populate('itemId', 'name');
+    for (const subscription of ended) {
+        const claimed = await PurchasedItem.updateOne(
+            { _id: subscription._id, status: 'active', expiryDate: subscription.expiryDate },
+            { status: 'expired' }
+        );
+        if (claimed.modifiedCount) {
+            await notifyStudent(subscription.studentId, {
+                type: 'system',
+                title: 'Subscription expired',
+                message: `${subscriptionName(subscription)} has expired. Renew it to keep your access.`,
+                relatedId: subscription._id
+            });
+        }
+    }
+};
+
+const sendExpiryReminders = async (now) => {
+    const horizon = new Date(now.getTime() + EXPIRY_REMINDER_DAYS * DAY_MS);
+    const due = await PurchasedItem.find({
+        itemType: 'Subscription',
+        status: 'active',
+        expiryDate: { $gt: now, $lte: horizon },
+        $expr: { $ne: ['$reminderSentFor', '$expiryDate'] }
+    }).populate('itemId', 'name price');
+
+    for (const subscription of due) {
+        const claimed = await PurchasedItem.updateOne(
+            { _id: subscription._id, expiryDate: subscription.expiryDate, reminderSentFor: { $ne: subscription.expiryDate } },
+            { reminderSentFor: subscription.expiryDate }
+        );
+        if (!claimed.modifiedCount) {
+            continue;
+        }
+        const name = subscriptionName(subscription);
+        const endsOn = subscription.expiryDate.toISOString().slice(0, 10);
+        // A renewal that already failed for this term will not be retried, so don't promise one
+        const renewalFailed = subscription.autoRenewFailedFor
+            && subscription.autoRenewFailedFor.getTime() === subscription.expiryDate.getTime();
+        const willRenew = subscription.autoRenew && !renewalFailed && subscription.itemId;
+        await notifyStudent(subscription.studentId, {
+            type: 'system',
+            title: 'Subscription ending soon',
+            message: willRenew
+                ? `${name} ends on ${endsOn} and will be renewed automatically for ${subscription.itemId.price}. Make sure your balance covers it.`
+                : `${name} ends on ${endsOn}. Renew it to keep your access.`,
+            relatedId: subscription._id
+        });
+    }
+};
+
+// General messages are only shown for createdAt + duration days; after that they are deleted
+const purgeExpiredGeneralMessages = async (now) => {
+    const { deletedCount } = await GeneralMessage.deleteMany({
+        $expr: { $lte: [{ $add: ['$createdAt', { $multiply: ['$duration', DAY_MS] }] }, now] }
+    });
+    if (deletedCount > 0) {
+        console.log(`Purged ${deletedCount} expired general message(s)`);
+    }
+};
+
+// Renewals run before expiry so opted-in students are never marked expired
+const SCHEDULED_JOBS = [
+    ['auto-renew subscriptions', autoRenewSubscriptions],
+    ['expire subscriptions', expireSubscriptions],
+    ['send expiry reminders', sendExpiryReminders],
+    ['purge general messages', purgeExpiredGeneralMessages]
+];
+
+let schedulerRunning = false;
+
+const runScheduledJobs = async () => {
+    if (schedulerRunning) {
+        return; // The previous run is still going
+    }
+    schedulerRunning = true;
+    try {
+        for (const [name, job] of SCHEDULED_JOBS) {
+            try {
+                await job(new Date());
+            } catch (error) {
+                console.error(`Scheduled job "${name}" failed:`, error);
+            }
+        }
+    } finally {
+        schedulerRunning = false;
+    }
+};
+
+const startScheduler = () => {
+    if (!(SCHEDULER_INTERVAL_MINUTES > 0)) {
+        console.log('Background scheduler disabled');
+        return;
+    }
+    runScheduledJobs();
+    setInterval(runScheduledJobs, SCHEDULER_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+// Start the server (called once the database is connected and migrated)
+const startServer = () => {
+    app.listen(port, () => {
+        console.log(`Server running on port ${port}`);
+    });
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+// File storage backends, the multer engine that streams uploads into them and Range parsing for reads
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Stores files under rootDir, using the storage key as a relative path
+const createLocalDiskStorage = (rootDir) => {
+    const root = path.resolve(rootDir);
+    const resolveKey = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        async put(key, stream) {
+            const fullPath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await pipeline(stream, fs.createWriteStream(fullPath));
+        },
+        async stat(key) {
+            const { size } = await fs.promises.stat(resolveKey(key));
+            return { size };
+        },
+        createReadStream(key, range) {
+            return fs.createReadStream(resolveKey(key), range);
+        },
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+// Multer storage engine that streams each upload straight into a backend, under a key
+// namespaced by req.params.field. Bytes are counted by a Transform inside the pipeline:
+// reading the upload stream directly would start it flowing before the backend is ready.
+const createBackendStorageEngine = (storage) => ({
+    _handleFile(req, file, cb) {
+        const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+        const key = `${req.params.field}/${new Date().getFullYear()}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+        let size = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, done) {
+                size += chunk.length;
+                done(null, chunk);
+            }
+        });
+        // A source error destroys counter, so it surfaces through put's own pipeline
+        pipeline(file.stream, counter).catch(() => {});
+        storage.put(key, counter).then(() => cb(null, { key, size }), cb);
+    },
+    _removeFile(req, file, cb) {
+        storage.remove(file.key).then(() => cb(null), cb);
+    }
+});
+
+// Parse a single "bytes=start-end" range; returns undefined when absent/unsupported, null when unsatisfiable
+const parseByteRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return undefined; // No range or multiple ranges: serve the whole file
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(0, size - Number(match[2])); // Suffix range: last N bytes
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    return start <= end && start < size ? { start, end } : null;
+};
+
+module.exports = { createLocalDiskStorage, createBackendStorageEngine, parseByteRange };
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv } = require('../csv');
+
+const columns = [
+    { header: 'name', value: row => row.name },
+    { header: 'note', value: row => row.note }
+];
+
+test('rows render under their headers with CRLF line endings', () => {
+    assert.strictEqual(toCsv(columns, [{ name: 'Ali', note: 'ok' }, { name: 'Mona' }]), 'name,note\r\nAli,ok\r\nMona,');
+});
+
+test('commas, quotes and line breaks are quoted', () => {
+    assert.strictEqual(toCsv(columns, [{ name: 'a,b', note: 'say "hi"\nbye' }]), 'name,note\r\n"a,b","say ""hi""\nbye"');
+});
+
+test('cells that a spreadsheet would evaluate as formulas are escaped', () => {
+    const csv = toCsv(columns, [
+        { name: '=HYPERLINK("http://x")', note: '+1' },
+        { name: '-2', note: '@SUM(A1)' }
+    ]);
+    assert.strictEqual(csv, 'name,note\r\n"\'=HYPERLINK(""http://x"")",\'+1\r\n\'-2,\'@SUM(A1)');
+});
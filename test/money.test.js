@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { roundMoney, applyDiscount } = require('../money');
+
+test('roundMoney keeps two decimals', () => {
+    assert.strictEqual(roundMoney(0.1 + 0.2), 0.3);
+    assert.strictEqual(roundMoney(-12.345), -12.34);
+});
+
+test('percent discounts are rounded to two decimals', () => {
+    assert.strictEqual(applyDiscount(100, 'percent', 15), 85);
+    assert.strictEqual(applyDiscount(99.99, 'percent', 33), 66.99);
+});
+
+test('fixed discounts subtract the amount', () => {
+    assert.strictEqual(applyDiscount(150, 'fixed', 20.5), 129.5);
+});
+
+test('a discount never takes the price below zero', () => {
+    assert.strictEqual(applyDiscount(30, 'fixed', 50), 0);
+    assert.strictEqual(applyDiscount(30, 'percent', 100), 0);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryRateLimitStore, lockoutMinutes, lockoutsReached, lockoutStatus } = require('../rate-limit');
+
+const policy = { threshold: 5, baseMinutes: 5, maxMinutes: 60 };
+const MINUTE = 60 * 1000;
+
+test('each further lockout doubles, up to the cap', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(n => lockoutMinutes(n, policy)), [5, 10, 20, 40, 60]);
+});
+
+test('only the failure that reaches a multiple of the threshold starts a lockout', () => {
+    assert.deepStrictEqual([0, 1, 4, 5, 6, 9, 10].map(n => lockoutsReached(n, policy)), [0, 0, 0, 1, 0, 0, 2]);
+});
+
+test('accounts below the threshold are not locked', () => {
+    assert.deepStrictEqual(lockoutStatus(4, undefined, policy, 0), { locked: false });
+});
+
+test('a lockout the counter has reached locks before it is recorded', () => {
+    assert.deepStrictEqual(lockoutStatus(5, undefined, policy, 0), { locked: true, retryAt: 5 * MINUTE });
+    assert.deepStrictEqual(lockoutStatus(10, { lockouts: 1, lockedUntil: 0 }, policy, 0), { locked: true, retryAt: 5 * MINUTE });
+});
+
+test('a recorded lock holds until it expires', () => {
+    const lock = { lockouts: 1, lockedUntil: 10 * MINUTE };
+    assert.deepStrictEqual(lockoutStatus(5, lock, policy, MINUTE), { locked: true, retryAt: 10 * MINUTE });
+    assert.deepStrictEqual(lockoutStatus(7, lock, policy, 11 * MINUTE), { locked: false });
+});
+
+test('concurrent increments are never lost', async () => {
+    const store = createMemoryRateLimitStore();
+    const results = await Promise.all(Array.from({ length: 20 }, () => store.increment('key', MINUTE)));
+    assert.deepStrictEqual(results.map(r => r.count).sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i + 1));
+    assert.strictEqual(await store.get('key'), 20);
+});
+
+test('stored values expire after their TTL', async () => {
+    const store = createMemoryRateLimitStore();
+    await store.set('lock', { lockouts: 1 }, 20);
+    assert.deepStrictEqual(await store.get('lock'), { lockouts: 1 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(await store.get('lock'), undefined);
+});
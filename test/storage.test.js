@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { createLocalDiskStorage, createBackendStorageEngine, parseByteRange } = require('../storage');
+
+// Upload through express + multer into a temporary directory and compare what was stored
+test('uploads are stored byte for byte', async (t) => {
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    const storage = createLocalDiskStorage(root);
+    const upload = multer({ storage: createBackendStorageEngine(storage) }).single('file');
+
+    const app = express();
+    app.post('/upload/:field', upload, (req, res) => res.status(201).json({ key: req.file.key, size: req.file.size }));
+    const server = app.listen(0);
+    t.after(async () => {
+        server.close();
+        await fs.promises.rm(root, { recursive: true, force: true });
+    });
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    for (const bytes of [1024, 200 * 1024, 5 * 1024 * 1024]) {
+        const content = crypto.randomBytes(bytes);
+        const form = new FormData();
+        form.append('file', new Blob([content], { type: 'application/pdf' }), 'answer.pdf');
+
+        const response = await fetch(`http://127.0.0.1:${port}/upload/pdfFile`, { method: 'POST', body: form });
+        assert.strictEqual(response.status, 201);
+        const { key, size } = await response.json();
+        assert.strictEqual(size, bytes);
+        assert.match(key, /^pdfFile\/\d{4}\/[0-9a-f]{32}\.pdf$/);
+
+        const stored = await fs.promises.readFile(path.join(root, key));
+        assert.ok(stored.equals(content), `stored file for a ${bytes}-byte upload differs`);
+        assert.strictEqual((await storage.stat(key)).size, bytes);
+    }
+});
+
+test('byte ranges are parsed against the file size', () => {
+    assert.strictEqual(parseByteRange(undefined, 100), undefined);
+    assert.strictEqual(parseByteRange('bytes=0-1,5-6', 100), undefined); // Multiple ranges serve the whole file
+    assert.strictEqual(parseByteRange('bytes=-', 100), undefined);
+    assert.deepStrictEqual(parseByteRange('bytes=10-19', 100), { start: 10, end: 19 });
+    assert.deepStrictEqual(parseByteRange('bytes=90-', 100), { start: 90, end: 99 });
+    assert.deepStrictEqual(parseByteRange('bytes=90-500', 100), { start: 90, end: 99 });
+    assert.deepStrictEqual(parseByteRange('bytes=-30', 100), { start: 70, end: 99 });
+    assert.deepStrictEqual(parseByteRange('bytes=-300', 100), { start: 0, end: 99 });
+    assert.strictEqual(parseByteRange('bytes=100-', 100), null);
+    assert.strictEqual(parseByteRange('bytes=20-10', 100), null);
+});
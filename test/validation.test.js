@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateBody, validateFields } = require('../validation');
+
+// Run the middleware on a body; returns { status, json } for a rejection or { body } once it calls next()
+const run = (fields, body, options) => {
+    const req = { body };
+    let response;
+    const res = {
+        status(code) {
+            return { json: (json) => { response = { status: code, json }; } };
+        }
+    };
+    validateBody(fields, options)(req, res, () => { response = { body: req.body }; });
+    return response;
+};
+
+test('strings are trimmed and undeclared fields dropped', () => {
+    const { body } = run({ fullName: { type: 'string', required: true } }, { fullName: '  Mona  ', balance: 1000 });
+    assert.deepStrictEqual(body, { fullName: 'Mona' });
+});
+
+test('trim: false keeps secrets exactly as typed', () => {
+    const fields = { password: { type: 'string', required: true, minLength: 6, trim: false } };
+    assert.deepStrictEqual(run(fields, { password: ' secret ' }).body, { password: ' secret ' });
+});
+
+test('missing required fields and bad values are reported per field', () => {
+    const fields = {
+        fullName: { type: 'string', required: true },
+        grade: { type: 'string', enum: ['first', 'second'] },
+        points: { type: 'integer', min: 0 }
+    };
+    const { status, json } = run(fields, { fullName: '   ', grade: 'fourth', points: 1.5 });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(json.errors, [
+        { field: 'fullName', message: 'is required' },
+        { field: 'grade', message: 'must be one of: first, second' },
+        { field: 'points', message: 'must be a whole number' }
+    ]);
+});
+
+test('length limits apply to the trimmed value', () => {
+    const fields = { name: { type: 'string', minLength: 3, maxLength: 5 } };
+    assert.deepStrictEqual(run(fields, { name: '  ab  ' }).json.errors, [{ field: 'name', message: 'must be at least 3 characters' }]);
+    assert.deepStrictEqual(run(fields, { name: 'abcdef' }).json.errors, [{ field: 'name', message: 'must be at most 5 characters' }]);
+});
+
+test('partial updates skip required checks but need at least one field', () => {
+    const fields = { fullName: { type: 'string', required: true }, isActive: { type: 'boolean' } };
+    assert.deepStrictEqual(run(fields, { isActive: false }, { partial: true }).body, { isActive: false });
+    const { status, json } = run(fields, {}, { partial: true });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(json.message, 'No updatable fields provided.');
+});
+
+test('arrays, nested objects and nullable items are validated with field paths', () => {
+    const fields = {
+        answers: { type: 'array', maxItems: 3, items: { type: 'integer', min: 0, nullable: true } },
+        address: { type: 'object', fields: { city: { type: 'string', required: true } } }
+    };
+    assert.deepStrictEqual(run(fields, { answers: [1, null, 2], address: { city: ' Cairo ', zip: 1 } }).body, {
+        answers: [1, null, 2],
+        address: { city: 'Cairo' }
+    });
+    assert.deepStrictEqual(run(fields, { answers: [1, -1], address: {} }).json.errors, [
+        { field: 'answers.1', message: 'must be at least 0' },
+        { field: 'address.city', message: 'is required' }
+    ]);
+});
+
+test('dates and object ids are checked', () => {
+    const errors = [];
+    const output = validateFields({ at: 'not a date', id: '123' }, { at: { type: 'date' }, id: { type: 'objectId' } }, '', errors, false);
+    assert.deepStrictEqual(output, {});
+    assert.deepStrictEqual(errors, [
+        { field: 'at', message: 'must be a valid date' },
+        { field: 'id', message: 'must be a valid ID' }
+    ]);
+});
+
+test('a non-object body is treated as empty', () => {
+    const { json } = run({ name: { type: 'string', required: true } }, ['name']);
+    assert.deepStrictEqual(json.errors, [{ field: 'name', message: 'is required' }]);
+});
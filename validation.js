@@ -0,0 +1,92 @@
+// Request body validation against declarative field rules
+//
+// Routes declare the body fields they accept as { name: rule }. A rule has a type ('string', 'number',
+// 'integer', 'boolean', 'date', 'objectId', 'array' or 'object') plus optional required, enum, min, max,
+// maxLength, nullable, items (array element rule) and fields (nested object rules). Strings are trimmed
+// unless trim: false, which secrets use because they were always hashed exactly as typed. Undeclared fields
+// are dropped, so callers can never set things like createdAt or balance through a request body.
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Check one value against its rule; returns the cleaned value or records { field, message } in errors
+const validateValue = (value, rule, field, errors) => {
+    const fail = (message) => {
+        errors.push({ field, message });
+        return undefined;
+    };
+    if (value === null && rule.nullable) {
+        return null;
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return fail('must be a string');
+            const text = rule.trim === false ? value : value.trim();
+            if (rule.required && !text) return fail('is required');
+            if (rule.maxLength && text.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+            if (rule.minLength && text.length < rule.minLength) return fail(`must be at least ${rule.minLength} characters`);
+            if (rule.enum && !rule.enum.includes(text)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+            return text;
+        }
+        case 'number':
+        case 'integer': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+            if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+            if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+            return value;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('must be true or false');
+            return value;
+        case 'date': {
+            const date = new Date(value);
+            if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(date.getTime())) return fail('must be a valid date');
+            return date;
+        }
+        case 'objectId':
+            if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) return fail('must be a valid ID');
+            return value;
+        case 'array':
+            if (!Array.isArray(value)) return fail('must be an array');
+            if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+            return value.map((item, i) => validateValue(item, rule.items, `${field}.${i}`, errors));
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+            return validateFields(value, rule.fields, `${field}.`, errors, false);
+        default:
+            throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+    }
+};
+
+// Validate an object against a field map, keeping only declared fields; partial skips required checks
+const validateFields = (input, fields, prefix, errors, partial) => {
+    const output = {};
+    Object.entries(fields).forEach(([name, rule]) => {
+        const value = input[name];
+        if (value === undefined || value === '' || (value === null && !rule.nullable)) {
+            if (rule.required && !partial) errors.push({ field: prefix + name, message: 'is required' });
+            return;
+        }
+        const cleaned = validateValue(value, rule, prefix + name, errors);
+        if (cleaned !== undefined) output[name] = cleaned;
+    });
+    return output;
+};
+
+// Replace req.body with its validated, whitelisted fields; { partial: true } is for updates
+const validateBody = (fields, { partial = false } = {}) => (req, res, next) => {
+    const errors = [];
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const cleaned = validateFields(body, fields, '', errors, partial);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+    if (partial && Object.keys(cleaned).length === 0) {
+        return res.status(400).json({ message: 'No updatable fields provided.', errors: [] });
+    }
+    req.body = cleaned;
+    next();
+};
+
+module.exports = { OBJECT_ID_PATTERN, validateFields, validateBody };